@@ -0,0 +1,86 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { fileResponse, jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { collectUserData, deleteUserData } from "./shared/account.mjs";
+import { cancelSubscriptions } from "./shared/billing.mjs";
+
+const DELETE_CONFIRMATION = "DELETE";
+
+// Account data rights.
+//   GET    /api/account/export   everything stored for the user, as a JSON download
+//   DELETE /api/account          { confirm: "DELETE" } cancels any subscription, then deletes
+//                                the auth user and all of their data
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const limited = await enforceRateLimit(req, context, { route: "account", user });
+  if (limited) return limited;
+
+  const supabase = getSupabaseAdmin();
+  const isExport = new URL(req.url).pathname.replace(/\/+$/, "").endsWith("/export");
+
+  if (isExport) {
+    if (req.method !== "GET") {
+      return jsonResponse(405, { error: "Method not allowed" });
+    }
+    try {
+      const data = await collectUserData(supabase, user);
+      return fileResponse(JSON.stringify(data, null, 2), {
+        contentType: "application/json",
+        filename: `covercraft-data-${data.exported_at.slice(0, 10)}.json`,
+      });
+    } catch (err) {
+      return jsonResponse(500, { error: err.message });
+    }
+  }
+
+  if (req.method !== "DELETE") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  let body = {};
+  try {
+    body = await req.json();
+  } catch (_) {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+  if (body.confirm !== DELETE_CONFIRMATION) {
+    return jsonResponse(400, { error: `Send { "confirm": "${DELETE_CONFIRMATION}" } to delete your account.` });
+  }
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("email, billing_provider, stripe_customer_id, stripe_subscription_id, lemon_subscription_id, plan_id, subscription_status")
+    .eq("id", user.id)
+    .maybeSingle();
+
+  let cancelled = [];
+  try {
+    cancelled = await cancelSubscriptions(profile, user.email);
+  } catch (err) {
+    console.error("Subscription cancellation failed during account deletion:", err.message);
+    return jsonResponse(502, {
+      error: "billing_cancel_failed",
+      message: "We couldn't cancel your subscription, so your account was not deleted. Please try again or contact support.",
+    });
+  }
+
+  try {
+    await deleteUserData(supabase, user);
+  } catch (err) {
+    return jsonResponse(500, { error: err.message, cancelled_subscriptions: cancelled });
+  }
+
+  return jsonResponse(200, { deleted: true, cancelled_subscriptions: cancelled });
+};
+
+export const config = {
+  path: ["/api/account", "/api/account/export"],
+};
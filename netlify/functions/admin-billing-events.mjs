@@ -0,0 +1,64 @@
+import { getAdminUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { replayBillingEvent } from "./shared/billing.mjs";
+
+const EVENT_STATUSES = ["received", "processing", "applied", "unmatched", "ignored", "stale", "failed"];
+const LIST_COLUMNS =
+  "id, provider, event_id, event_type, subscription_id, occurred_at, user_id, status, error, attempts, received_at, processed_at";
+
+// Billing webhook events, for operators listed in ADMIN_EMAILS.
+//   GET  /api/admin/billing-events?status=failed&limit=50   recorded events, newest first
+//   POST /api/admin/billing-events/:id/replay               re-run a failed or unmatched event
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  const admin = await getAdminUser(req);
+  if (!admin) {
+    return jsonResponse(403, { error: "Forbidden" });
+  }
+
+  const supabase = getSupabaseAdmin();
+  const eventId = context?.params?.id || null;
+
+  if (!eventId) {
+    if (req.method !== "GET") {
+      return jsonResponse(405, { error: "Method not allowed" });
+    }
+    const url = new URL(req.url);
+    const status = String(url.searchParams.get("status") || "failed").toLowerCase();
+    if (status !== "all" && !EVENT_STATUSES.includes(status)) {
+      return jsonResponse(400, { error: `status must be "all" or one of: ${EVENT_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || 50, 1), 200);
+
+    let query = supabase.from("billing_events").select(LIST_COLUMNS).order("received_at", { ascending: false }).limit(limit);
+    if (status !== "all") query = query.eq("status", status);
+    const { data, error } = await query;
+    if (error) {
+      return jsonResponse(500, { error: error.message });
+    }
+    return jsonResponse(200, { events: data || [] });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const { data: row, error } = await supabase.from("billing_events").select("*").eq("id", eventId).maybeSingle();
+  if (error) {
+    return jsonResponse(500, { error: error.message });
+  }
+  if (!row) {
+    return jsonResponse(404, { error: "Billing event not found" });
+  }
+
+  const result = await replayBillingEvent(supabase, row);
+  console.info("[billing-replay]", JSON.stringify({ id: row.id, provider: row.provider, by: admin.id, ...result }));
+  return jsonResponse(result.status === "failed" ? 502 : 200, { id: row.id, ...result });
+};
+
+export const config = {
+  path: ["/api/admin/billing-events", "/api/admin/billing-events/:id/replay"],
+};
@@ -1,10 +1,16 @@
 import { getEnv } from "./shared/env.mjs";
 import { jsonResponse } from "./shared/http.mjs";
+import { getRetentionPolicy } from "./shared/retention.mjs";
+import { getPlanCatalog } from "./shared/billing.mjs";
+import { getFreeLimit } from "./shared/supabase.mjs";
 
 export default async () => {
   const config = {
     supabaseUrl: getEnv("SUPABASE_URL"),
     supabaseAnonKey: getEnv("SUPABASE_ANON_KEY"),
+    retention: getRetentionPolicy(),
+    free_limit: getFreeLimit(),
+    billing: await getPlanCatalog(),
   };
 
   return jsonResponse(200, config, { "Cache-Control": "public, max-age=300" });
@@ -1,60 +1,40 @@
-import { getEnv } from "./shared/env.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { completeWithFallback, getProvider, getProviderChain } from "./shared/providers.mjs";
 
-export default async (req) => {
+export default async (req, context) => {
   if (req.method === "OPTIONS") return optionsResponse();
   if (req.method !== "GET") return jsonResponse(405, { error: "Method not allowed" });
 
-  const apiKey = getEnv("OPENAI_API_KEY");
-  const baseUrl = getEnv("OPENAI_BASE_URL", "https://api.openai.com/v1").replace(/\/+$/, "");
-  const model = getEnv("OPENAI_MODEL", "gpt-4o-mini");
+  // Unauthenticated and spends provider credits, so limit per client IP.
+  const limited = await enforceRateLimit(req, context, { route: "diag-generate" });
+  if (limited) return limited;
 
-  if (!apiKey) {
-    return jsonResponse(200, { ok: false, error: "OPENAI_API_KEY missing" });
+  // `?provider=anthropic` tests a single adapter; otherwise the full PROVIDER_CHAIN runs.
+  const requested = new URL(req.url).searchParams.get("provider");
+  let chain = getProviderChain();
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider) {
+      return jsonResponse(400, { ok: false, error: `Unknown provider: ${requested}` });
+    }
+    chain = [provider];
   }
 
-  try {
-    const r = await fetch(`${baseUrl}/chat/completions`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${apiKey}`,
-        "HTTP-Referer": getEnv("SITE_URL", ""),
-        "X-Title": "CoverCraft",
-      },
-      body: JSON.stringify({
-        model,
-        messages: [{ role: "user", content: "Write one sentence saying this test worked." }],
-        temperature: 0.2,
-      }),
-    });
-
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      return jsonResponse(200, {
-        ok: false,
-        status: r.status,
-        model,
-        baseUrl,
-        error: data?.error?.message || data?.error || "chat/completions failed",
-      });
-    }
+  const result = await completeWithFallback(
+    { prompt: "Write one sentence saying this test worked.", temperature: 0.2, maxTokens: 60 },
+    { chain }
+  );
 
-    return jsonResponse(200, {
-      ok: true,
-      status: r.status,
-      model,
-      baseUrl,
-      output: data?.choices?.[0]?.message?.content || null,
-    });
-  } catch (err) {
-    return jsonResponse(200, {
-      ok: false,
-      model,
-      baseUrl,
-      error: err.message,
-    });
-  }
+  return jsonResponse(200, {
+    ok: Boolean(result.text),
+    chain: chain.map((p) => p.name),
+    provider: result.provider || null,
+    model: result.model || null,
+    output: result.text || null,
+    error: result.error || undefined,
+    attempts: result.attempts,
+  });
 };
 
 export const config = {
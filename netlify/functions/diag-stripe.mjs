@@ -1,6 +1,7 @@
 import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
 import { getEnv } from "./shared/env.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { computeEntitlement } from "./shared/entitlement.mjs";
 
 function mask(v) {
   if (!v) return "";
@@ -40,7 +41,7 @@ export default async (req) => {
   const supabase = getSupabaseAdmin();
   const { data: profile, error } = await supabase
     .from("profiles")
-    .select("id, email, is_pro, subscription_status, stripe_customer_id, stripe_subscription_id, plan_id, current_period_end, generations_used, updated_at")
+    .select("id, email, is_pro, subscription_status, billing_provider, stripe_customer_id, stripe_subscription_id, lemon_subscription_id, plan_id, current_period_end, cancel_at_period_end, past_due_since, access_revoked_reason, generations_used, updated_at")
     .eq("id", user.id)
     .maybeSingle();
 
@@ -58,6 +59,7 @@ export default async (req) => {
     auth: { logged_in: true, user_id: user.id, email: user.email },
     env,
     profile: profile || null,
+    entitlement: computeEntitlement(profile),
   });
 };
 
@@ -1,4 +1,4 @@
-import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { getAuthenticatedUser, getSupabaseAdmin, normalizeEmail } from "./shared/supabase.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
 
 export default async (req) => {
@@ -20,7 +20,7 @@ export default async (req) => {
   const { error } = await supabase.from("profiles").upsert(
     {
       id: user.id,
-      email: user.email,
+      email: normalizeEmail(user.email),
       updated_at: new Date().toISOString(),
     },
     { onConflict: "id" }
@@ -0,0 +1,136 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { fileResponse, jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { ENTITLEMENT_COLUMNS, computeEntitlement } from "./shared/entitlement.mjs";
+import { loadContact } from "./shared/contact.mjs";
+import { DEFAULT_TEMPLATE, TEMPLATES, buildLayout, renderDocx, renderPdf } from "./shared/letter-export.mjs";
+
+const FORMATS = {
+  docx: {
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    render: renderDocx,
+  },
+  pdf: { contentType: "application/pdf", render: renderPdf },
+};
+const MAX_LETTER_CHARS = 8000;
+
+function buildFilename(recipient, format) {
+  const company = String(recipient?.company || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `cover-letter${company ? "-" + company : ""}.${format}`;
+}
+
+// GET lists the letterhead templates; POST renders a letter as DOCX or PDF.
+// Saved letters are exported by `letter_id` and locked previews are refused. Unsaved text
+// (e.g. the offline fallback letter) can only be exported by active subscribers.
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method === "GET") {
+    return jsonResponse(200, {
+      formats: Object.keys(FORMATS),
+      default_template: DEFAULT_TEMPLATE,
+      templates: Object.entries(TEMPLATES).map(([key, t]) => ({ key, label: t.label })),
+    });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const limited = await enforceRateLimit(req, context, { route: "export", user });
+  if (limited) return limited;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (_) {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+
+  const format = String(body.format || "").toLowerCase();
+  if (!FORMATS[format]) {
+    return jsonResponse(400, { error: "Format must be docx or pdf" });
+  }
+  const template = TEMPLATES[body.template] ? body.template : DEFAULT_TEMPLATE;
+
+  const supabase = getSupabaseAdmin();
+  let text = "";
+  if (body.letter_id) {
+    const { data: letter, error } = await supabase
+      .from("letters")
+      .select("id, text, locked")
+      .eq("id", body.letter_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (error) {
+      return jsonResponse(500, { error: error.message });
+    }
+    if (!letter) {
+      return jsonResponse(404, { error: "Letter not found" });
+    }
+    if (letter.locked) {
+      return jsonResponse(403, { error: "locked", message: "Upgrade to download the full cover letter." });
+    }
+    text = letter.text;
+  } else {
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select(ENTITLEMENT_COLUMNS)
+      .eq("id", user.id)
+      .maybeSingle();
+    if (!computeEntitlement(profile).isPro) {
+      return jsonResponse(403, { error: "locked", message: "Save or upgrade to export this letter." });
+    }
+    text = String(body.text || "");
+  }
+
+  if (!text.trim()) {
+    return jsonResponse(400, { error: "Nothing to export" });
+  }
+  if (text.length > MAX_LETTER_CHARS) {
+    return jsonResponse(400, { error: "Letter is too long to export." });
+  }
+
+  // The letterhead defaults to the saved contact profile; `sender` fields override it.
+  const contact = await loadContact(supabase, user.id);
+  const sender = {
+    name: contact.full_name,
+    email: contact.contact_email || user.email,
+    phone: contact.phone,
+    location: contact.location,
+    links: [contact.linkedin_url, contact.portfolio_url].filter(Boolean),
+    ...(body.sender || {}),
+  };
+
+  try {
+    const layout = buildLayout({
+      text,
+      sender,
+      recipient: body.recipient || {},
+      date: body.date,
+    });
+    const file = await FORMATS[format].render(layout, template);
+    return fileResponse(file, {
+      contentType: FORMATS[format].contentType,
+      filename: buildFilename(body.recipient, format),
+    });
+  } catch (err) {
+    console.error("Export failed:", err.message);
+    return jsonResponse(500, { error: "Export failed: " + err.message });
+  }
+};
+
+export const config = {
+  path: "/api/export",
+};
@@ -1,34 +1,37 @@
-import { getAuthenticatedUser, getSupabaseAdmin, getFreeLimit } from "./shared/supabase.mjs";
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
 import { getEnv } from "./shared/env.mjs";
-import { jsonResponse, optionsResponse } from "./shared/http.mjs";
-
-const DEFAULT_BACKEND_URL = "https://cover-letter-api-production-fe17.up.railway.app";
-const DEFAULT_MODEL = "gpt-4o-mini";
-
-function buildPrompt(jobDescription, resume, tone) {
-  return `
-You are a professional career coach and hiring manager.
-
-Write a highly tailored, concise, persuasive cover letter based on the inputs.
-
-Rules:
-- Match the job description tone (${tone})
-- Sound human, not robotic
-- Avoid generic phrases like "I am excited to apply" or "I am writing to express my interest"
-- Do NOT repeat the resume verbatim
-- Focus on value, impact, and fit
-- Keep it under 300 words
-- No fluff
-
-Job Description:
-${jobDescription}
-
-Candidate Resume:
-${resume}
-
-Output ONLY the finished cover letter. No headings. No bullets.
-`;
-}
+import { eventStreamResponse, jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { completeWithFallback, describeGenerationError, getPreviewProviderChain } from "./shared/providers.mjs";
+import { buildAccessPayload, commitGeneration, refundGeneration, reserveGeneration } from "./shared/usage.mjs";
+import { saveLetter } from "./shared/letters.mjs";
+import { buildPreviewPrompt, buildPrompt } from "./shared/prompts.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { buildMatchReport } from "./shared/match.mjs";
+import { applySignature, describeCandidate, loadContact } from "./shared/contact.mjs";
+import { isResumeUsable, parseResumeText, resumeToPromptText, validateResume } from "./shared/resume-model.mjs";
+import { loadResume } from "./shared/resumes.mjs";
+
+const MAX_VARIANTS = 3;
+const MAX_TEASER_CHARS = 700;
+
+// Each extra draft gets a distinct opening so variants don't read as rewordings.
+const OPENING_ANGLES = [
+  {
+    key: "achievement",
+    label: "Lead with impact",
+    instruction: "Open with the single most relevant accomplishment from the resume, quantified if possible.",
+  },
+  {
+    key: "mission",
+    label: "Lead with fit",
+    instruction: "Open by connecting the candidate to a specific priority or goal named in the job description.",
+  },
+  {
+    key: "story",
+    label: "Lead with a story",
+    instruction: "Open with a brief, concrete moment from the candidate's experience that shows why they do this work.",
+  },
+];
 
 function sentenceize(text) {
   return String(text || "")
@@ -52,7 +55,7 @@ function extractPriorities(jobDescription) {
   return parts.slice(0, 3);
 }
 
-function generateFallbackCoverLetter({ jobDescription, resume, tone }) {
+function generateFallbackCoverLetter({ jobDescription, resume, tone, name }) {
   const priorities = extractPriorities(jobDescription);
   const highlights = extractHighlights(resume);
   const roleLine = priorities[0] || "the role";
@@ -75,94 +78,106 @@ function generateFallbackCoverLetter({ jobDescription, resume, tone }) {
   lines.push("I would welcome the opportunity to discuss how I can contribute to your team from day one.");
   lines.push("");
   lines.push("Sincerely,");
-  lines.push("[Your Name]");
+  lines.push(name || "[Your Name]");
   return lines.join("\n");
 }
 
-function buildLockedPreview(text, ratio = 0.5) {
-  const src = String(text || "").trim();
-  if (!src) return "";
-
-  const safeRatio = Math.min(0.6, Math.max(0.4, ratio));
-  const cut = Math.max(160, Math.floor(src.length * safeRatio));
-  let preview = src.slice(0, cut);
-  const sentenceBreak = Math.max(preview.lastIndexOf(". "), preview.lastIndexOf("\n\n"));
-  if (sentenceBreak > 120) {
-    preview = preview.slice(0, sentenceBreak + 1);
+// Greeting plus the first real paragraph; anything past it is dropped even if the
+// provider ignored the token cap (the backend always writes a full letter).
+function extractOpening(text) {
+  const paragraphs = String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const kept = [];
+  for (const paragraph of paragraphs) {
+    kept.push(paragraph);
+    if (paragraph.length > 60) break;
   }
-  return preview.trim();
+  return kept.join("\n\n").slice(0, MAX_TEASER_CHARS).trim();
 }
 
-async function generateViaDirectProvider({ jobDescription, resume, tone }) {
-  const apiKey = getEnv("OPENAI_API_KEY");
-  if (!apiKey) {
-    return { ok: false, error: "AI provider key missing in Netlify env (OPENAI_API_KEY)." };
+// Prompt input built from a structured resume: the library resume named by `resumeId`,
+// else the user's default, else the posted text run through the deterministic parser.
+// Text the parser can't structure is used as-is.
+async function resolvePromptResume(supabase, userId, postedText, resumeId) {
+  const stored = await loadResume(supabase, userId, resumeId);
+  if (resumeId && !stored) return { resume: "", structured: null, notFound: true };
+  if (stored) {
+    const { resume } = validateResume(stored.data);
+    if (isResumeUsable(resume)) return { resume: resumeToPromptText(resume), structured: resume };
+    // A chosen resume is never swapped for client-sent text.
+    if (resumeId) return { resume: "", structured: resume, empty: true };
   }
+  if (!postedText) return { resume: "", structured: null };
+  const parsed = parseResumeText(postedText);
+  return isResumeUsable(parsed)
+    ? { resume: resumeToPromptText(parsed), structured: parsed }
+    : { resume: String(postedText), structured: null };
+}
 
-  const baseUrl = (getEnv("OPENAI_BASE_URL", "https://api.openai.com/v1") || "https://api.openai.com/v1").replace(/\/+$/, "");
-  const model = getEnv("OPENAI_MODEL", DEFAULT_MODEL) || DEFAULT_MODEL;
-  const payload = {
-    model,
-    messages: [{ role: "user", content: buildPrompt(jobDescription, resume, tone) }],
-    temperature: 0.7,
-  };
-
-  const headers = {
-    "Content-Type": "application/json",
-    "Authorization": `Bearer ${apiKey}`,
-  };
+function parseVariantCount(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return 1;
+  return Math.min(MAX_VARIANTS, Math.max(1, n));
+}
 
-  // Helpful headers for OpenRouter (safe no-op for others).
-  const siteUrl = getEnv("SITE_URL");
-  if (siteUrl) headers["HTTP-Referer"] = siteUrl;
-  headers["X-Title"] = "CoverCraft";
+// Drafts beyond the first cost VARIANT_USAGE_MULTIPLIER generations each (default 0,
+// so a multi-draft request counts as a single generation).
+function getVariantUsageCost(draftCount) {
+  const multiplier = parseFloat(getEnv("VARIANT_USAGE_MULTIPLIER", "0"));
+  const safeMultiplier = Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 0;
+  return 1 + Math.ceil(Math.max(0, draftCount - 1) * safeMultiplier);
+}
 
-  try {
-    const r = await fetch(`${baseUrl}/chat/completions`, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(payload),
-    });
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      return {
-        ok: false,
-        error: data.error?.message || data.error || `Direct provider error (${r.status})`,
-      };
-    }
-    const text = data?.choices?.[0]?.message?.content?.trim() || "";
-    if (!text) {
-      return { ok: false, error: "Direct provider returned empty output." };
-    }
-    return { ok: true, text };
-  } catch (err) {
-    return { ok: false, error: "Direct provider unavailable: " + err.message };
+async function generateLetter({ jobDescription, resume, tone, angle, candidate, name }, hooks = {}) {
+  const prompt = buildPrompt(jobDescription, resume, tone, angle, candidate);
+  const backendBody = angle || candidate
+    ? { jobDescription, resume, tone, systemPrompt: prompt }
+    : { jobDescription, resume, tone };
+  const result = await completeWithFallback(
+    {
+      backendBody,
+      prompt,
+      temperature: angle ? 0.85 : 0.7,
+    },
+    hooks
+  );
+  if (result.text) return result;
+
+  const allowLocalFallback = getEnv("ALLOW_LOCAL_FALLBACK", "").toLowerCase() === "true";
+  if (allowLocalFallback) {
+    const text = generateFallbackCoverLetter({ jobDescription, resume, tone, name });
+    if (hooks.onToken) hooks.onToken(text);
+    return { text, provider: "local-fallback", model: "template", error: "" };
   }
+  return result;
 }
 
-async function generateViaBackend({ jobDescription, resume, tone }) {
-  const backendUrl = getEnv("BACKEND_URL", DEFAULT_BACKEND_URL);
-  try {
-    const backendRes = await fetch(`${backendUrl}/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ jobDescription, resume, tone }),
-    });
-    const data = await backendRes.json().catch(() => ({}));
-    if (!backendRes.ok) {
-      return {
-        ok: false,
-        status: backendRes.status,
-        error: data.error || "Generation failed",
-      };
-    }
-    return { ok: true, text: (data.text || "").trim() };
-  } catch (err) {
-    return { ok: false, status: 502, error: "Backend unavailable: " + err.message };
+// Locked users only ever see the opening, so that is all we pay a provider to write.
+async function generateTeaser({ jobDescription, resume, tone, angle }) {
+  const prompt = buildPreviewPrompt(jobDescription, resume, tone, angle);
+  const result = await completeWithFallback(
+    {
+      backendBody: { jobDescription, resume, tone, systemPrompt: prompt },
+      prompt,
+      temperature: angle ? 0.85 : 0.7,
+      maxTokens: parseInt(getEnv("PREVIEW_MAX_TOKENS", "180"), 10) || 180,
+      tier: "preview",
+    },
+    { chain: getPreviewProviderChain() }
+  );
+  if (result.text) return { ...result, text: extractOpening(result.text) };
+
+  const allowLocalFallback = getEnv("ALLOW_LOCAL_FALLBACK", "").toLowerCase() === "true";
+  if (allowLocalFallback) {
+    const text = extractOpening(generateFallbackCoverLetter({ jobDescription, resume, tone }));
+    return { text, provider: "local-fallback", model: "template", error: "" };
   }
+  return result;
 }
 
-export default async (req) => {
+export default async (req, context) => {
   if (req.method === "OPTIONS") {
     return optionsResponse();
   }
@@ -177,37 +192,11 @@ export default async (req) => {
     return jsonResponse(401, { error: "Not authenticated" });
   }
 
-  // 2. Fetch profile to check subscription and generation count
-  const supabase = getSupabaseAdmin();
-  await supabase
-    .from("profiles")
-    .upsert(
-      {
-        id: user.id,
-        email: user.email || null,
-        updated_at: new Date().toISOString(),
-      },
-      { onConflict: "id" }
-    )
-    .catch(() => {});
-
-  const { data: profile } = await supabase
-    .from("profiles")
-    .select("is_pro, subscription_status, generations_used")
-    .eq("id", user.id)
-    .single();
-
-  const generationsUsed = profile?.generations_used || 0;
-  const subscriptionStatus = String(profile?.subscription_status || "").toLowerCase();
-  const isSubscribed =
-    profile?.is_pro === true &&
-    (subscriptionStatus === "active" || subscriptionStatus === "trialing");
-  const freeLimit = getFreeLimit();
-  const freeRemaining = Math.max(0, freeLimit - generationsUsed);
-
-  const lockPreviewOnly = !isSubscribed && freeRemaining <= 0;
-
-  // 4. Parse request body
+  // 1b. Per-user rate limit (window depends on the plan)
+  const limited = await enforceRateLimit(req, context, { route: "generate", user });
+  if (limited) return limited;
+
+  // 2. Parse request body
   let body;
   try {
     body = await req.json();
@@ -215,114 +204,163 @@ export default async (req) => {
     return jsonResponse(400, { error: "Invalid JSON body" });
   }
 
-  const { jobDescription, resume, tone } = body;
-  if (!jobDescription || !resume) {
+  const { jobDescription, tone } = body;
+  if (!jobDescription) {
+    return jsonResponse(400, { error: "Job description and resume are required" });
+  }
+  const supabase = getSupabaseAdmin();
+  const resumeId = body.resume_id ? String(body.resume_id) : null;
+  const { resume, structured, notFound, empty } = await resolvePromptResume(supabase, user.id, body.resume, resumeId);
+  if (notFound) {
+    return jsonResponse(404, { error: "Resume not found" });
+  }
+  if (empty) {
+    return jsonResponse(400, { error: "This resume has no experience, skills or summary yet. Add some before generating." });
+  }
+  if (!resume) {
     return jsonResponse(400, { error: "Job description and resume are required" });
   }
+  const variantCount = parseVariantCount(body.variants);
+  const wantsStream =
+    body.stream === true || (req.headers.get("accept") || "").includes("text/event-stream");
 
+  // 3. Reserve usage up front; computeEntitlement decides subscription access and the ledger
+  // applies the free limit atomically.
+  let usage;
   try {
-    // 5. Run generation: backend first, direct provider fallback.
-    const backendResult = await generateViaBackend({ jobDescription, resume, tone });
-    let finalText = "";
-    let generationError = "";
-
-    if (backendResult.ok && backendResult.text) {
-      finalText = backendResult.text;
-    } else {
-      const directResult = await generateViaDirectProvider({ jobDescription, resume, tone });
-      if (directResult.ok && directResult.text) {
-        finalText = directResult.text;
-      } else {
-        generationError = backendResult.error || directResult.error || "Generation failed";
-        if (directResult.error) {
-          generationError = directResult.error;
-        }
-      }
+    usage = await reserveGeneration(supabase, user, { cost: getVariantUsageCost(variantCount) });
+  } catch (err) {
+    console.error(err.message);
+    return jsonResponse(503, { error: "Usage service unavailable. Please retry in a moment." });
+  }
+  const { lockPreviewOnly } = usage;
+  // Without a saved name, the letter is signed with the name parsed from the resume.
+  const savedContact = await loadContact(supabase, user.id);
+  const contact = savedContact.full_name
+    ? savedContact
+    : { ...savedContact, full_name: structured?.contact?.full_name || null };
+  const candidate = describeCandidate(savedContact.full_name ? savedContact : structured?.contact);
+  const name = contact.full_name;
+
+  // A single draft keeps the plain prompt; multiple drafts each get an opening angle.
+  // Locked users get a teaser (the opening only) for each requested draft.
+  const generateDrafts = async (hooks = {}) => {
+    if (variantCount === 1) {
+      const result = lockPreviewOnly
+        ? await generateTeaser({ jobDescription, resume, tone })
+        : await generateLetter({ jobDescription, resume, tone, candidate, name }, hooks);
+      return result.text
+        ? { drafts: [{ ...result, angle: null }], error: "" }
+        : { drafts: [], error: result.error };
     }
 
-    if (!finalText) {
-      let backendError = generationError || "Generation failed";
-      const lowered = String(backendError).toLowerCase();
-      const allowLocalFallback = getEnv("ALLOW_LOCAL_FALLBACK", "").toLowerCase() === "true";
-      if (allowLocalFallback) {
-        finalText = generateFallbackCoverLetter({ jobDescription, resume, tone });
-      }
+    const results = await Promise.all(
+      OPENING_ANGLES.slice(0, variantCount).map(async (angle) => ({
+        ...(lockPreviewOnly
+          ? await generateTeaser({ jobDescription, resume, tone, angle: angle.instruction })
+          : await generateLetter({ jobDescription, resume, tone, angle: angle.instruction, candidate, name })),
+        angle,
+      }))
+    );
+    const drafts = results.filter((r) => r.text);
+    const firstError = results.find((r) => r.error)?.error || "Generation failed";
+    return { drafts, error: drafts.length > 0 ? "" : firstError };
+  };
+
+  // Quota bookkeeping + access decision, run once every draft is complete.
+  const completeGeneration = async (generated) => {
+    // Full letters end with the candidate's own sign-off, name and contact line.
+    const drafts = lockPreviewOnly
+      ? generated
+      : generated.map((draft) => ({ ...draft, text: applySignature(draft.text, contact) }));
+
+    // 5. Commit the reservation at the final cost and log success
+    const newCount = await commitGeneration(supabase, user, usage, {
+      cost: getVariantUsageCost(drafts.length),
+      provider: drafts[0].provider,
+      model: drafts[0].model,
+    });
+
+    // 6. Keep a copy for the history panel. A locked teaser is stored with its inputs so
+    // /api/letters/:id/unlock can finish the letter after checkout.
+    const letterIds = await Promise.all(
+      drafts.map((draft) =>
+        saveLetter(supabase, {
+          userId: user.id,
+          jobDescription,
+          resume,
+          tone,
+          model: draft.model,
+          text: draft.text,
+          locked: lockPreviewOnly,
+        })
+      )
+    );
+
+    // 7. Determine access level.
+    const payload = lockPreviewOnly
+      ? buildAccessPayload(usage, newCount, "", { preview: drafts[0].text, letter_id: letterIds[0] })
+      : buildAccessPayload(usage, newCount, drafts[0].text, { letter_id: letterIds[0] });
+    payload.provider = drafts[0].provider;
+    payload.model = drafts[0].model;
+    if (body.match === true) {
+      // Keyword-only so the letter is never held up; /api/match adds the AI pass.
+      payload.match = buildMatchReport(jobDescription, resume);
     }
+    if (variantCount > 1) {
+      payload.variants = drafts.map((draft, i) => ({
+        angle: draft.angle.key,
+        label: draft.angle.label,
+        provider: draft.provider,
+        model: draft.model,
+        ...(lockPreviewOnly ? { preview: draft.text } : { text: draft.text }),
+        letter_id: letterIds[i],
+      }));
+    }
+    return payload;
+  };
 
-    if (!finalText) {
-      let backendError = generationError || "Generation failed";
-      const lowered = String(backendError).toLowerCase();
-      if (lowered.includes("incorrect api key") || lowered.includes("invalid api key")) {
-        backendError = "AI provider key is invalid. Update OPENAI_API_KEY.";
-      }
-      if (lowered.includes("is not a valid model id")) {
-        backendError = "AI model is invalid. Set OPENAI_MODEL to a valid provider model (e.g. openrouter/auto).";
-      }
-      if (lowered.includes("exceeded your current quota") || lowered.includes("insufficient_quota") || lowered.includes("429")) {
-        backendError = "AI provider quota exceeded. Add billing/credits to your provider project, then retry.";
+  // 4b. Streaming mode: forward tokens as SSE, then send the final payload as `done`.
+  // Locked users never receive tokens, only the teasers in the `done` event; multi-draft
+  // requests run in parallel and also arrive whole in `done`.
+  if (wantsStream) {
+    return eventStreamResponse(async (send) => {
+      try {
+        const hooks = lockPreviewOnly || variantCount > 1
+          ? {}
+          : {
+              onToken: (text) => send("token", { text }),
+              onReset: () => send("reset", {}),
+            };
+        const { drafts, error } = await generateDrafts(hooks);
+        if (drafts.length === 0) {
+          const generationError = describeGenerationError(error);
+          await refundGeneration(supabase, user, usage, generationError);
+          send("error", { error: generationError, status: 502 });
+          return;
+        }
+        send("done", await completeGeneration(drafts));
+      } catch (err) {
+        await refundGeneration(supabase, user, usage, "Backend unavailable: " + err.message);
+        send("error", { error: "Backend unavailable: " + err.message, status: 502 });
       }
+    });
+  }
 
-      await supabase.from("generation_logs").insert({
-        user_email: user.email,
-        user_id: user.id,
-        success: false,
-        generations_at_request: generationsUsed,
-        error_message: backendError,
-      }).catch(() => {});
+  try {
+    // 4. Run generation: backend first, direct provider fallback.
+    const { drafts, error } = await generateDrafts();
 
-      return jsonResponse(502, { error: backendError });
+    if (drafts.length === 0) {
+      const generationError = describeGenerationError(error);
+      await refundGeneration(supabase, user, usage, generationError);
+      return jsonResponse(502, { error: generationError });
     }
 
-    // 6. Increment generation count
-    const newCount = generationsUsed + 1;
-    await supabase
-      .from("profiles")
-      .update({ generations_used: newCount, updated_at: new Date().toISOString() })
-      .eq("id", user.id)
-      .catch(() => {});
-
-    // 7. Log success
-    await supabase.from("generation_logs").insert({
-      user_email: user.email,
-      user_id: user.id,
-      success: true,
-      generations_at_request: newCount,
-    }).catch(() => {});
-
-    const fullText = finalText;
-
-    // 8. Determine access level.
-    const freeRemainingAfterGeneration = Math.max(0, freeLimit - newCount);
-    const responsePayload = lockPreviewOnly
-      ? {
-          text: "",
-          preview: buildLockedPreview(fullText, 0.5),
-          full_access: false,
-          locked: true,
-          message: "Unlock the full letter + unlimited generations for $9.99/month.",
-          generations_used: newCount,
-          free_limit: freeLimit,
-          free_remaining: 0,
-        }
-      : {
-          text: fullText,
-          full_access: true,
-          locked: false,
-          generations_used: newCount,
-          free_limit: freeLimit,
-          free_remaining: isSubscribed ? null : freeRemainingAfterGeneration,
-        };
-
-    return jsonResponse(200, responsePayload);
+    return jsonResponse(200, await completeGeneration(drafts));
   } catch (err) {
     // Log error
-    await supabase.from("generation_logs").insert({
-      user_email: user.email,
-      user_id: user.id,
-      success: false,
-      generations_at_request: generationsUsed,
-      error_message: "Backend unavailable: " + err.message,
-    }).catch(() => {});
+    await refundGeneration(supabase, user, usage, "Backend unavailable: " + err.message);
 
     return jsonResponse(502, { error: "Backend unavailable: " + err.message });
   }
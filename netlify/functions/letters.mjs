@@ -0,0 +1,102 @@
+import { getAuthenticatedUser, getSupabaseForUser } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const LIST_COLUMNS = "id, created_at, tone, model, resume_hash, job_description, text, locked";
+
+function toListItem(letter) {
+  return {
+    id: letter.id,
+    created_at: letter.created_at,
+    tone: letter.tone,
+    model: letter.model,
+    resume_hash: letter.resume_hash,
+    locked: letter.locked === true,
+    job_excerpt: String(letter.job_description || "").replace(/\s+/g, " ").trim().slice(0, 140),
+    excerpt: String(letter.text || "").replace(/\s+/g, " ").trim().slice(0, 200),
+  };
+}
+
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method !== "GET" && req.method !== "DELETE") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  // Queries run as the user, so RLS on `letters` enforces ownership.
+  const supabase = getSupabaseForUser(req);
+  const letterId = context?.params?.id || null;
+
+  if (req.method === "DELETE") {
+    if (!letterId) {
+      return jsonResponse(400, { error: "Letter id is required" });
+    }
+    const { data, error } = await supabase
+      .from("letters")
+      .delete()
+      .eq("id", letterId)
+      .select("id");
+    if (error) {
+      return jsonResponse(500, { error: error.message });
+    }
+    if (!data || data.length === 0) {
+      return jsonResponse(404, { error: "Letter not found" });
+    }
+    return jsonResponse(200, { deleted: true, id: letterId });
+  }
+
+  if (letterId) {
+    const { data: letter, error } = await supabase
+      .from("letters")
+      .select(LIST_COLUMNS)
+      .eq("id", letterId)
+      .maybeSingle();
+    if (error) {
+      return jsonResponse(500, { error: error.message });
+    }
+    if (!letter) {
+      return jsonResponse(404, { error: "Letter not found" });
+    }
+    return jsonResponse(200, { letter });
+  }
+
+  const url = new URL(req.url);
+  const requestedLimit = parseInt(url.searchParams.get("limit") || "", 10);
+  const limit = Number.isFinite(requestedLimit)
+    ? Math.min(MAX_PAGE_SIZE, Math.max(1, requestedLimit))
+    : DEFAULT_PAGE_SIZE;
+  const before = url.searchParams.get("before");
+
+  let query = supabase
+    .from("letters")
+    .select(LIST_COLUMNS)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (before) {
+    query = query.lt("created_at", before);
+  }
+
+  const { data: letters, error } = await query;
+  if (error) {
+    return jsonResponse(500, { error: error.message });
+  }
+
+  const items = (letters || []).map(toListItem);
+  return jsonResponse(200, {
+    letters: items,
+    next_before: items.length === limit ? items[items.length - 1].created_at : null,
+  });
+};
+
+export const config = {
+  path: ["/api/letters", "/api/letters/:id"],
+};
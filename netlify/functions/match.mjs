@@ -0,0 +1,55 @@
+import { getAuthenticatedUser } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { buildMatchReport, enhanceMatchReport } from "./shared/match.mjs";
+
+const MAX_INPUT_CHARS = 20000;
+
+// Keyword coverage of a resume against a job description. The keyword report is always
+// returned; `ai: false` skips the provider pass that adds requirements outside the vocabulary.
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const limited = await enforceRateLimit(req, context, { route: "match", user });
+  if (limited) return limited;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (_) {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+
+  const jobDescription = String(body.jobDescription || "").slice(0, MAX_INPUT_CHARS);
+  const resume = String(body.resume || "").slice(0, MAX_INPUT_CHARS);
+  if (!jobDescription.trim() || !resume.trim()) {
+    return jsonResponse(400, { error: "Job description and resume are required" });
+  }
+
+  const report = buildMatchReport(jobDescription, resume);
+  if (body.ai === false) {
+    return jsonResponse(200, { match: report });
+  }
+
+  try {
+    return jsonResponse(200, { match: await enhanceMatchReport(report, jobDescription, resume) });
+  } catch (err) {
+    console.error("Match enhancement failed:", err.message);
+    return jsonResponse(200, { match: report });
+  }
+};
+
+export const config = {
+  path: "/api/match",
+};
@@ -1,88 +1,25 @@
-import Stripe from "stripe";
-import { getAuthenticatedUser, getSupabaseAdmin, getFreeLimit } from "./shared/supabase.mjs";
-import { getEnv } from "./shared/env.mjs";
+import { getAuthenticatedUser, getSupabaseAdmin, getFreeLimit, normalizeEmail } from "./shared/supabase.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { computeEntitlement, syncBillingStatus } from "./shared/billing.mjs";
+import { getCreditBalance } from "./shared/credits.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
 
-function normalizeSubscriptionState(status) {
-  const s = String(status || "").toLowerCase();
-  const isPro = s === "active" || s === "trialing";
-  return { status: s || "none", isPro };
-}
-
-async function syncStripeStatusIfNeeded(supabase, profile) {
-  if (!profile) return profile;
-
-  const stripeSecretKey = getEnv("STRIPE_SECRET_KEY");
-  if (!stripeSecretKey) return profile;
-  const hasStripeIds = !!(profile.stripe_customer_id || profile.stripe_subscription_id);
-
-  const stripe = new Stripe(stripeSecretKey);
-
-  try {
-    let subscription = null;
-    let stripeCustomerId = profile.stripe_customer_id || null;
-
-    if (hasStripeIds && profile.stripe_subscription_id) {
-      subscription = await stripe.subscriptions.retrieve(profile.stripe_subscription_id);
-    } else if (hasStripeIds && profile.stripe_customer_id) {
-      const list = await stripe.subscriptions.list({
-        customer: profile.stripe_customer_id,
-        status: "all",
-        limit: 1,
-      });
-      subscription = list?.data?.[0] || null;
-    } else if (profile.email) {
-      const customers = await stripe.customers.list({
-        email: profile.email,
-        limit: 1,
-      });
-      const customer = customers?.data?.[0] || null;
-      if (customer?.id) {
-        stripeCustomerId = customer.id;
-        const subs = await stripe.subscriptions.list({
-          customer: customer.id,
-          status: "all",
-          limit: 10,
-        });
-        const preferred =
-          (subs?.data || []).find((s) => {
-            const status = String(s.status || "").toLowerCase();
-            return status === "active" || status === "trialing";
-          }) || subs?.data?.[0] || null;
-        subscription = preferred;
-      }
-    }
-
-    if (!subscription) return profile;
-
-    const normalized = normalizeSubscriptionState(subscription.status);
-    const updates = {
-      subscription_status: normalized.status,
-      is_pro: normalized.isPro,
-      stripe_customer_id: stripeCustomerId || profile.stripe_customer_id || null,
-      stripe_subscription_id: subscription.id || profile.stripe_subscription_id || null,
-      plan_id: subscription.items?.data?.[0]?.price?.id || profile.plan_id || null,
-      updated_at: new Date().toISOString(),
-    };
+// A profile compared with its provider this recently is not asked again on `?refresh=1`.
+const REFRESH_MIN_INTERVAL_MS = 60 * 1000;
 
-    if (subscription.current_period_end) {
-      updates.current_period_end = new Date(subscription.current_period_end * 1000).toISOString();
-    }
-
-    const { data: updated } = await supabase
-      .from("profiles")
-      .update(updates)
-      .eq("id", profile.id)
-      .select("*")
-      .single();
+function checkedRecently(profile) {
+  const checkedAt = Date.parse(profile.billing_checked_at || "");
+  return Number.isFinite(checkedAt) && Date.now() - checkedAt < REFRESH_MIN_INTERVAL_MS;
+}
 
-    return updated || { ...profile, ...updates };
-  } catch (_) {
-    return profile;
-  }
+// Whether `?refresh=1` should ask the provider. A rate-limited refresh still answers,
+// from the stored state.
+async function shouldRefresh(req, context, user, profile) {
+  if (new URL(req.url).searchParams.get("refresh") !== "1" || checkedRecently(profile)) return false;
+  return !(await enforceRateLimit(req, context, { route: "profile-refresh", user }));
 }
 
-export default async (req) => {
+export default async (req, context) => {
   if (req.method === "OPTIONS") {
     return optionsResponse();
   }
@@ -97,17 +34,17 @@ export default async (req) => {
   }
 
   const supabase = getSupabaseAdmin();
-  await supabase
-    .from("profiles")
-    .upsert(
-      {
-        id: user.id,
-        email: user.email || null,
-        updated_at: new Date().toISOString(),
-      },
-      { onConflict: "id" }
-    )
-    .catch(() => {});
+  const { error: upsertError } = await supabase.from("profiles").upsert(
+    {
+      id: user.id,
+      email: normalizeEmail(user.email),
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "id" }
+  );
+  if (upsertError) {
+    console.error("Could not upsert profile:", upsertError.message);
+  }
 
   const { data: profile, error } = await supabase
     .from("profiles")
@@ -122,16 +59,26 @@ export default async (req) => {
         subscription_status: "none",
         generations_used: 0,
         free_limit: getFreeLimit(),
+        credits: 0,
       },
     });
   }
 
-  const syncedProfile = await syncStripeStatusIfNeeded(supabase, profile);
+  // Billing state comes from webhooks and the scheduled reconciliation; `?refresh=1` asks
+  // the provider directly, for the return from checkout before the webhook has landed.
+  const refresh = await shouldRefresh(req, context, user, profile);
+  const syncedProfile = refresh ? await syncBillingStatus(supabase, profile) : profile;
+  const entitlement = computeEntitlement(syncedProfile);
+  const credits = await getCreditBalance(supabase, user.id);
 
   return jsonResponse(200, {
     profile: {
       ...syncedProfile,
+      is_pro: entitlement.isPro,
+      subscription_status: entitlement.status,
+      grace_ends_at: entitlement.graceEndsAt,
       free_limit: getFreeLimit(),
+      credits,
     },
   });
 };
@@ -0,0 +1,20 @@
+import { getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse } from "./shared/http.mjs";
+import { purgeExpiredData } from "./shared/retention.mjs";
+
+// Scheduled daily: deletes logs, letters and resumes older than the retention policy
+// (RETENTION_*_DAYS). Only row counts are logged.
+export default async () => {
+  try {
+    const result = await purgeExpiredData(getSupabaseAdmin());
+    console.info("[retention]", JSON.stringify(result));
+    return jsonResponse(200, result);
+  } catch (err) {
+    console.error("Retention purge failed:", err.message);
+    return jsonResponse(500, { error: err.message });
+  }
+};
+
+export const config = {
+  schedule: "@daily",
+};
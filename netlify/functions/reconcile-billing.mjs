@@ -0,0 +1,25 @@
+import { getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse } from "./shared/http.mjs";
+import { reconcileBillingProfiles } from "./shared/billing.mjs";
+
+// Scheduled hourly: retries billing events that matched no profile, then compares profiles
+// that have a Stripe or Lemon Squeezy subscription with the provider and fixes any drift.
+// Each corrected mismatch is logged.
+export default async () => {
+  try {
+    const result = await reconcileBillingProfiles(getSupabaseAdmin());
+    for (const mismatch of result.mismatches) {
+      console.info("[billing-reconcile] corrected", JSON.stringify(mismatch));
+    }
+    const { mismatches, ...counts } = result;
+    console.info("[billing-reconcile]", JSON.stringify(counts));
+    return jsonResponse(200, result);
+  } catch (err) {
+    console.error("Billing reconciliation failed:", err.message);
+    return jsonResponse(500, { error: err.message });
+  }
+};
+
+export const config = {
+  schedule: "@hourly",
+};
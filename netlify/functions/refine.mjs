@@ -0,0 +1,150 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { completeWithFallback, describeGenerationError } from "./shared/providers.mjs";
+import { buildAccessPayload, commitGeneration, getLockedMessage, refundGeneration, reserveGeneration } from "./shared/usage.mjs";
+import { saveLetter } from "./shared/letters.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { applySignature, loadContact } from "./shared/contact.mjs";
+
+const MAX_INSTRUCTION_CHARS = 500;
+const MAX_LETTER_CHARS = 6000;
+
+function buildRefinePrompt({ letter, instruction, jobDescription, resume, tone }) {
+  const context = [];
+  if (jobDescription) context.push(`Job Description:\n${jobDescription}`);
+  if (resume) context.push(`Candidate Resume:\n${resume}`);
+
+  return `
+You are a professional career coach revising a cover letter for a candidate.
+
+Apply the revision request below to the current letter.
+
+Rules:
+- Follow the revision request exactly; keep everything else that already works
+- Keep the ${tone || "confident and natural"} tone unless the request says otherwise
+- Do not invent experience that is not in the letter or resume
+- Keep it under 300 words unless asked to make it longer
+- No fluff
+
+Revision request:
+${instruction}
+
+Current letter:
+${letter}
+${context.length ? "\n" + context.join("\n\n") + "\n" : ""}
+Output ONLY the revised cover letter. No headings. No commentary.
+`;
+}
+
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const limited = await enforceRateLimit(req, context, { route: "refine", user });
+  if (limited) return limited;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (_) {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+
+  const letter = String(body.letter || "").trim();
+  const instruction = String(body.instruction || "").trim();
+  if (!letter || !instruction) {
+    return jsonResponse(400, { error: "Letter and instruction are required" });
+  }
+  if (instruction.length > MAX_INSTRUCTION_CHARS) {
+    return jsonResponse(400, { error: `Instruction is too long. Keep it under ${MAX_INSTRUCTION_CHARS} characters.` });
+  }
+  if (letter.length > MAX_LETTER_CHARS) {
+    return jsonResponse(400, { error: "Letter is too long to refine." });
+  }
+
+  const { jobDescription, resume, tone } = body;
+
+  // Refinements follow the same subscription and free-limit rules as /api/generate.
+  const supabase = getSupabaseAdmin();
+  let usage;
+  try {
+    usage = await reserveGeneration(supabase, user, { kind: "refine" });
+  } catch (err) {
+    console.error(err.message);
+    return jsonResponse(503, { error: "Usage service unavailable. Please retry in a moment." });
+  }
+  // A refinement is a full letter, so locked users are sent to the unlock flow instead of
+  // paying a provider for text they would only see a preview of.
+  if (usage.lockPreviewOnly) {
+    await refundGeneration(supabase, user, usage, "upgrade_required");
+    return jsonResponse(402, { error: "upgrade_required", message: getLockedMessage() });
+  }
+
+  // Only link the revision to a parent letter the caller owns.
+  let parentId = null;
+  if (body.letter_id) {
+    const { data: parent } = await supabase
+      .from("letters")
+      .select("id")
+      .eq("id", body.letter_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    parentId = parent?.id || null;
+  }
+
+  const prompt = buildRefinePrompt({ letter, instruction, jobDescription, resume, tone });
+
+  try {
+    const { text: rawText, provider, model, error } = await completeWithFallback({
+      backendBody: {
+        jobDescription: jobDescription || "Revise the cover letter below.",
+        resume: resume || letter,
+        tone,
+        systemPrompt: prompt,
+      },
+      prompt,
+      temperature: 0.5,
+    });
+
+    if (!rawText) {
+      const refineError = describeGenerationError(error);
+      await refundGeneration(supabase, user, usage, refineError);
+      return jsonResponse(502, { error: refineError });
+    }
+
+    const revisedText = applySignature(rawText, await loadContact(supabase, user.id));
+    const newCount = await commitGeneration(supabase, user, usage, { provider, model });
+    const letterId = await saveLetter(supabase, {
+      userId: user.id,
+      parentId,
+      jobDescription,
+      resume,
+      tone,
+      model,
+      text: revisedText,
+    });
+
+    return jsonResponse(200, {
+      ...buildAccessPayload(usage, newCount, revisedText, { letter_id: letterId }),
+      provider,
+      model,
+    });
+  } catch (err) {
+    await refundGeneration(supabase, user, usage, "Backend unavailable: " + err.message);
+    return jsonResponse(502, { error: "Backend unavailable: " + err.message });
+  }
+};
+
+export const config = {
+  path: "/api/refine",
+};
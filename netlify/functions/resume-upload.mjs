@@ -1,38 +1,17 @@
 import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
-import pdfParse from "pdf-parse";
-import { getEnv } from "./shared/env.mjs";
+import { computeHash } from "./shared/hash.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { completeWithFallback } from "./shared/providers.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { prefillContactFromResume } from "./shared/contact.mjs";
+import { SUPPORTED_FORMATS_LABEL, detectResumeFormat, extractResumeText } from "./shared/resume-text.mjs";
+import { buildResumeExtractionPrompt, parseResumeJson, parseResumeText } from "./shared/resume-model.mjs";
+import { countResumes, findResumeByHash, getMaxResumes, saveResume, toResumePayload } from "./shared/resumes.mjs";
 
 const SCANNED_THRESHOLD = 200;
-const MAX_SUMMARY_CHARS = 900;
 const MAX_FILE_BYTES = 20 * 1024 * 1024;
 
-function computeHash(text) {
-  // Simple hash using Web Crypto-compatible approach
-  let hash = 0;
-  for (let i = 0; i < text.length; i++) {
-    const char = text.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return "h" + Math.abs(hash).toString(36) + "_" + text.length;
-}
-
-function buildSummaryPrompt(resumeText) {
-  return `You are a resume summarizer. Given the resume text below, produce a structured summary in EXACTLY this format. Do not invent details. Keep the total output under ${MAX_SUMMARY_CHARS} characters.
-
-NAME:
-TITLE:
-CORE SKILLS:
-EXPERIENCE (2-4 bullets):
-EDUCATION:
-LINKS (if present):
-
-Resume text:
-${resumeText}`;
-}
-
-export default async (req) => {
+export default async (req, context) => {
   if (req.method === "OPTIONS") {
     return optionsResponse();
   }
@@ -47,7 +26,11 @@ export default async (req) => {
     return jsonResponse(401, { error: "Not authenticated" });
   }
 
-  // 2. Parse the multipart form data to get the PDF file
+  // 1b. Uploads trigger an AI summary, so they share the per-user rate limit
+  const limited = await enforceRateLimit(req, context, { route: "resume-upload", user });
+  if (limited) return limited;
+
+  // 2. Parse the multipart form data to get the resume file
   let formData;
   try {
     formData = await req.formData();
@@ -57,109 +40,122 @@ export default async (req) => {
 
   const file = formData.get("resume");
   if (!file || typeof file === "string") {
-    return jsonResponse(400, { error: "No PDF file provided" });
-  }
-
-  const fileName = (file.name || "").toLowerCase();
-  const isPdfType = (file.type || "").toLowerCase() === "application/pdf" || fileName.endsWith(".pdf");
-  if (!isPdfType) {
-    return jsonResponse(400, { error: "Only PDF files are supported." });
+    return jsonResponse(400, { error: "No resume file provided" });
   }
   if (typeof file.size === "number" && file.size > MAX_FILE_BYTES) {
     return jsonResponse(413, { error: "File is too large. Max size is 20MB." });
   }
 
-  // 3. Extract text from PDF
+  // 3. Detect the format from the file contents and extract plain text
+  const buffer = Buffer.from(await file.arrayBuffer());
+  const format = await detectResumeFormat(buffer, { name: file.name, type: file.type });
+  if (!format) {
+    return jsonResponse(400, { error: `Unsupported file type. Upload a ${SUPPORTED_FORMATS_LABEL} file.` });
+  }
+
   let extractedText;
   try {
-    const buffer = Buffer.from(await file.arrayBuffer());
-    const parsed = await pdfParse(buffer);
-    extractedText = (parsed.text || "").trim();
+    extractedText = await extractResumeText(buffer, format);
   } catch (err) {
-    return jsonResponse(422, { error: "Failed to read PDF. Try a different file or paste your resume manually." });
+    console.error(`Failed to read ${format} resume:`, err.message);
+    return jsonResponse(422, { error: "Failed to read this file. Try a different file or paste your resume manually." });
   }
 
-  // 4. Detect scanned/image PDFs
+  // 4. Too little text: OCR image-only PDFs, reject documents that are essentially empty.
+  // `extraction` tells the client how the text was obtained so it can ask for a review
+  // when OCR confidence is low.
+  let extraction = { format, method: "text" };
+  if (extractedText.length < SCANNED_THRESHOLD && format === "pdf") {
+    let ocr = null;
+    try {
+      // Loaded on demand: the OCR engine and renderer are large WASM modules.
+      const { ocrPdf } = await import("./shared/ocr.mjs");
+      ocr = await ocrPdf(buffer);
+    } catch (err) {
+      console.error("OCR failed:", err.message);
+    }
+    if (!ocr || ocr.text.length < SCANNED_THRESHOLD) {
+      return jsonResponse(422, {
+        error: "scanned_pdf",
+        message: "We couldn't read the text in this scanned PDF. Upload a text-based PDF or paste your resume.",
+      });
+    }
+    extractedText = ocr.text;
+    extraction = {
+      format,
+      method: "ocr",
+      confidence: ocr.confidence,
+      low_confidence: ocr.lowConfidence,
+      pages: ocr.pages,
+    };
+  }
   if (extractedText.length < SCANNED_THRESHOLD) {
     return jsonResponse(422, {
-      error: "scanned_pdf",
-      message: "This looks like a scanned PDF. Upload a text-based PDF or paste your resume.",
+      error: "too_little_text",
+      message: "We couldn't find enough text in this file. Check it contains your resume or paste it manually.",
     });
   }
 
-  // 5. Compute hash and check for existing summary
+  // 5. Compute hash and reuse the stored resume for a file already in the library
   const resumeHash = computeHash(extractedText);
   const supabase = getSupabaseAdmin();
 
-  const { data: profile } = await supabase
-    .from("profiles")
-    .select("resume_hash, resume_summary")
-    .eq("id", user.id)
-    .single();
-
-  // If same hash exists, reuse the stored summary
-  if (profile && profile.resume_hash === resumeHash && profile.resume_summary) {
+  const existing = await findResumeByHash(supabase, user.id, resumeHash);
+  if (existing) {
+    const resume = toResumePayload(existing);
     return jsonResponse(200, {
-      summary: profile.resume_summary,
+      resume,
+      summary: resume.text,
       cached: true,
+      extraction,
+      contact: await prefillContactFromResume(supabase, user.id, existing.data),
     });
   }
 
-  // 6. Call AI to summarize the resume
-  const backendUrl = getEnv("BACKEND_URL", "https://cover-letter-api-production-fe17.up.railway.app");
-
-  let summary;
-  try {
-    const aiRes = await fetch(`${backendUrl}/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        jobDescription: "Summarize this resume in structured format.",
-        resume: extractedText,
-        tone: "direct and professional",
-        systemPrompt: buildSummaryPrompt(extractedText),
-      }),
+  // 5b. New resumes are added to the library, which has a per-user cap
+  if ((await countResumes(supabase, user.id)) >= getMaxResumes()) {
+    return jsonResponse(409, {
+      error: "resume_limit",
+      message: `You can keep up to ${getMaxResumes()} resumes. Delete one to add another.`,
     });
+  }
 
-    const aiData = await aiRes.json().catch(() => ({}));
-
-    if (!aiRes.ok) {
-      // Fallback: return the raw extracted text if AI fails
-      return jsonResponse(200, {
-        summary: extractedText.substring(0, MAX_SUMMARY_CHARS),
-        raw: true,
-        message: "AI summary unavailable. Raw text extracted instead.",
-      });
-    }
+  // 6. Parse into the structured model with the provider chain; the deterministic
+  // parser takes over when every provider fails or returns unusable JSON.
+  const extractionPrompt = buildResumeExtractionPrompt(extractedText);
+  const { text: answer, provider, model } = await completeWithFallback({
+    backendBody: {
+      jobDescription: "Convert this resume to structured JSON.",
+      resume: extractedText,
+      tone: "direct and professional",
+      systemPrompt: extractionPrompt,
+    },
+    prompt: extractionPrompt,
+    temperature: 0,
+  });
+  const parsedByAi = answer ? parseResumeJson(answer) : null;
+  const data = parsedByAi || parseResumeText(extractedText);
+  const source = parsedByAi ? "ai" : "parser";
 
-    summary = (aiData.text || "").trim();
-    if (!summary) {
-      summary = extractedText.substring(0, MAX_SUMMARY_CHARS);
-    }
-  } catch (err) {
-    // Fallback: return raw text if backend is unreachable
-    return jsonResponse(200, {
-      summary: extractedText.substring(0, MAX_SUMMARY_CHARS),
-      raw: true,
-      message: "AI summary unavailable. Raw text extracted instead.",
-    });
-  }
+  // 7. Add it to the resume library, named by the form's `name` or the file name
+  const name = formData.get("name") || file.name;
+  const saved = await saveResume(supabase, { userId: user.id, resumeHash, data, source, name });
+  const resume = saved
+    ? toResumePayload(saved)
+    : toResumePayload({ id: null, name, is_default: false, source, data, created_at: null, updated_at: null, edited_at: null });
 
-  // 7. Store hash + summary in profiles
-  await supabase
-    .from("profiles")
-    .update({
-      resume_hash: resumeHash,
-      resume_summary: summary,
-      resume_updated_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    })
-    .eq("id", user.id)
-    .catch(() => {});
+  // 8. Pre-fill empty contact fields from the parsed contact section
+  const contact = await prefillContactFromResume(supabase, user.id, data);
 
   return jsonResponse(200, {
-    summary: summary,
+    resume,
+    summary: resume.text,
     cached: false,
+    extraction,
+    contact,
+    ...(parsedByAi
+      ? { provider, model }
+      : { message: "AI parsing unavailable. The resume was read with the built-in parser; please review each section." }),
   });
 };
 
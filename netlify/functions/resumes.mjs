@@ -0,0 +1,129 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { RESUME_SECTIONS, emptyResume, validateResumeSection } from "./shared/resume-model.mjs";
+import {
+  cleanResumeName,
+  countResumes,
+  deleteResume,
+  getMaxResumes,
+  listResumes,
+  loadResume,
+  renameResume,
+  saveResume,
+  setDefaultResume,
+  toResumePayload,
+  updateResumeSection,
+} from "./shared/resumes.mjs";
+
+// Resume library.
+//   GET    /api/resumes                  list (default first)
+//   POST   /api/resumes                  start a blank resume: { name }
+//   GET    /api/resumes/:id              one resume with its structure and text
+//   PATCH  /api/resumes/:id              { name?, is_default? }
+//   PUT    /api/resumes/:id/:section     replace one section: { value }
+//   DELETE /api/resumes/:id
+// Uploads are added through /api/resume-upload. Writes use the service role and are
+// always scoped to the caller's user id.
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const supabase = getSupabaseAdmin();
+  const resumeId = context?.params?.id || null;
+  const section = context?.params?.section || null;
+
+  let body = {};
+  if (req.method === "POST" || req.method === "PATCH" || req.method === "PUT") {
+    try {
+      body = await req.json();
+    } catch (_) {
+      return jsonResponse(400, { error: "Invalid JSON body" });
+    }
+  }
+
+  try {
+    if (!resumeId) {
+      if (req.method === "GET") {
+        return jsonResponse(200, { resumes: await listResumes(supabase, user.id), max_resumes: getMaxResumes() });
+      }
+      if (req.method !== "POST") {
+        return jsonResponse(405, { error: "Method not allowed" });
+      }
+      if ((await countResumes(supabase, user.id)) >= getMaxResumes()) {
+        return jsonResponse(409, {
+          error: "resume_limit",
+          message: `You can keep up to ${getMaxResumes()} resumes. Delete one to add another.`,
+        });
+      }
+      const created = await saveResume(supabase, {
+        userId: user.id,
+        data: emptyResume(),
+        source: "manual",
+        name: body.name,
+      });
+      if (!created) {
+        return jsonResponse(500, { error: "Could not save resume" });
+      }
+      return jsonResponse(201, { resume: toResumePayload(created) });
+    }
+
+    if (req.method === "DELETE") {
+      const deleted = await deleteResume(supabase, { userId: user.id, resumeId });
+      if (!deleted) {
+        return jsonResponse(404, { error: "Resume not found" });
+      }
+      return jsonResponse(200, { deleted: true, id: resumeId });
+    }
+
+    const current = await loadResume(supabase, user.id, resumeId);
+    if (!current) {
+      return jsonResponse(404, { error: "Resume not found" });
+    }
+
+    if (req.method === "GET" && !section) {
+      return jsonResponse(200, { resume: toResumePayload(current), sections: RESUME_SECTIONS });
+    }
+
+    if (req.method === "PATCH" && !section) {
+      let updated = current;
+      if (body.name !== undefined) {
+        const name = cleanResumeName(body.name);
+        if (!name) {
+          return jsonResponse(400, { error: "Name cannot be empty" });
+        }
+        updated = await renameResume(supabase, { userId: user.id, resumeId, name });
+      }
+      if (body.is_default === true) {
+        await setDefaultResume(supabase, { userId: user.id, resumeId });
+        updated = await loadResume(supabase, user.id, resumeId);
+      }
+      return jsonResponse(200, { resume: toResumePayload(updated) });
+    }
+
+    if (req.method === "PUT" && section) {
+      if (!RESUME_SECTIONS.includes(section)) {
+        return jsonResponse(400, { error: `Section must be one of: ${RESUME_SECTIONS.join(", ")}` });
+      }
+      const { value, error: validationError } = validateResumeSection(section, body.value);
+      if (validationError) {
+        return jsonResponse(400, { error: validationError });
+      }
+      const updated = await updateResumeSection(supabase, { userId: user.id, resume: current, section, value });
+      return jsonResponse(200, { resume: toResumePayload(updated) });
+    }
+
+    return jsonResponse(405, { error: "Method not allowed" });
+  } catch (err) {
+    return jsonResponse(500, { error: err.message });
+  }
+};
+
+export const config = {
+  path: ["/api/resumes", "/api/resumes/:id", "/api/resumes/:id/:section"],
+};
@@ -0,0 +1,59 @@
+import { getAuthenticatedUser, getSupabaseAdmin, normalizeEmail } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { CONTACT_COLUMNS, loadContact, sanitizeContact } from "./shared/contact.mjs";
+
+// GET returns the candidate contact details; POST updates any subset of them.
+// Writes go through the service role and only touch contact columns.
+export default async (req) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const supabase = getSupabaseAdmin();
+
+  if (req.method === "GET") {
+    return jsonResponse(200, { contact: await loadContact(supabase, user.id), account_email: user.email || null });
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (_) {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+
+  const { contact, error: validationError } = sanitizeContact(body.contact || body);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+  if (Object.keys(contact).length === 0) {
+    return jsonResponse(400, { error: "No contact fields to update" });
+  }
+
+  const { data, error } = await supabase
+    .from("profiles")
+    .upsert(
+      { id: user.id, email: normalizeEmail(user.email), ...contact, updated_at: new Date().toISOString() },
+      { onConflict: "id" }
+    )
+    .select(CONTACT_COLUMNS)
+    .single();
+  if (error) {
+    return jsonResponse(500, { error: error.message });
+  }
+
+  return jsonResponse(200, { contact: data, account_email: user.email || null });
+};
+
+export const config = {
+  path: "/api/settings",
+};
@@ -0,0 +1,47 @@
+// Everything stored for a user, as returned by GET /api/account/export.
+export async function collectUserData(supabase, user) {
+  const byUser = async (table, column = "user_id") => {
+    const { data, error } = await supabase.from(table).select("*").eq(column, user.id);
+    if (error) throw new Error(`${table}: ${error.message}`);
+    return data || [];
+  };
+
+  const [profiles, resumes, letters, usageEvents, generationLogs, billingEvents, creditGrants] = await Promise.all([
+    byUser("profiles", "id"),
+    byUser("resumes"),
+    byUser("letters"),
+    byUser("usage_events"),
+    byUser("generation_logs"),
+    byUser("billing_events"),
+    byUser("credit_grants"),
+  ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    account: { id: user.id, email: user.email || null, created_at: user.created_at || null },
+    profile: profiles[0] || null,
+    resumes,
+    letters,
+    usage_events: usageEvents,
+    generation_logs: generationLogs,
+    billing_events: billingEvents,
+    credit_grants: creditGrants,
+  };
+}
+
+// Removes the user entirely. Logs and rate-limit hits are deleted explicitly (logs keep
+// their email after the user id is nulled); deleting the auth user cascades to the
+// profile, letters, resumes, usage ledger, billing events and credit grants.
+export async function deleteUserData(supabase, user) {
+  const steps = [
+    supabase.from("generation_logs").delete().eq("user_id", user.id),
+    supabase.from("rate_limit_hits").delete().eq("key", `user:${user.id}`),
+  ];
+  if (user.email) steps.push(supabase.from("generation_logs").delete().eq("user_email", user.email));
+  for (const { error } of await Promise.all(steps)) {
+    if (error) throw new Error(error.message);
+  }
+
+  const { error } = await supabase.auth.admin.deleteUser(user.id);
+  if (error) throw new Error(error.message);
+}
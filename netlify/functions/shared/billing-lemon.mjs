@@ -0,0 +1,274 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { getEnv } from "./env.mjs";
+import { PLANS, getCreditPackSize } from "./plans.mjs";
+
+const LEMON_API_URL = "https://api.lemonsqueezy.com/v1";
+const FINISHED_STATUSES = new Set(["cancelled", "expired"]);
+
+function toIsoOrNull(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  if (!Number.isFinite(t)) return null;
+  return new Date(t).toISOString();
+}
+
+function appendIfValue(params, key, value) {
+  if (value === undefined || value === null) return;
+  const s = String(value).trim();
+  if (!s) return;
+  params.set(key, s);
+}
+
+function verifyLemonSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const sig = String(signature).trim().replace(/^sha256=/i, "");
+  const digest = createHmac("sha256", secret).update(rawBody).digest("hex");
+  if (sig.length !== digest.length) return false;
+  try {
+    return timingSafeEqual(Buffer.from(sig), Buffer.from(digest));
+  } catch (_) {
+    return false;
+  }
+}
+
+// Profile columns describing a Lemon Squeezy subscription. A cancelled subscription keeps
+// access until `ends_at`, which Stripe would report as active with cancel_at_period_end.
+// Trials ("on_trial", stored as trialing) run until `trial_ends_at`, cancelled or not.
+export function lemonSubscriptionState(id, attrs = {}) {
+  const raw = String(attrs.status || "").toLowerCase();
+  const cancelled = raw === "cancelled" || raw === "canceled";
+  const periodEnd = cancelled
+    ? toIsoOrNull(attrs.ends_at) || toIsoOrNull(attrs.renews_at)
+    : raw === "on_trial"
+      ? toIsoOrNull(attrs.trial_ends_at) || toIsoOrNull(attrs.renews_at)
+      : toIsoOrNull(attrs.renews_at) || toIsoOrNull(attrs.ends_at) || toIsoOrNull(attrs.trial_ends_at);
+  const hasFutureAccess = cancelled && periodEnd && Date.parse(periodEnd) > Date.now();
+  const trialEnd = toIsoOrNull(attrs.trial_ends_at);
+  const inTrial = trialEnd && Date.parse(trialEnd) > Date.now();
+  const variantId = attrs.variant_id ? String(attrs.variant_id) : "";
+
+  const state = {
+    billing_provider: "lemon",
+    subscription_status: hasFutureAccess ? (inTrial ? "trialing" : "active") : raw || "none",
+    current_period_end: periodEnd,
+    cancel_at_period_end: cancelled,
+    plan_id: variantId ? `lemon:${variantId}` : "lemon",
+  };
+  if (id) state.lemon_subscription_id = String(id);
+  return state;
+}
+
+async function lemonRequest(path, { method = "GET" } = {}) {
+  const res = await fetch(`${LEMON_API_URL}${path}`, {
+    method,
+    headers: {
+      Accept: "application/vnd.api+json",
+      "Content-Type": "application/vnd.api+json",
+      Authorization: `Bearer ${getEnv("LEMON_API_KEY")}`,
+    },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok && res.status !== 404) {
+    throw new Error(data?.errors?.[0]?.detail || `Lemon Squeezy error (${res.status})`);
+  }
+  return res.status === 404 ? null : data;
+}
+
+// Credit pack orders are recognised by LEMON_CREDITS_VARIANT_ID, not by checkout custom
+// data, which the buyer can edit in the URL.
+function normalizeOrder(payload, customData, email) {
+  const attrs = payload?.data?.attributes || {};
+  const creditsVariantId = getEnv("LEMON_CREDITS_VARIANT_ID");
+  const variantId = String(attrs.first_order_item?.variant_id || "");
+  if (!creditsVariantId || variantId !== String(creditsVariantId)) {
+    return { ignored: "not_a_credit_pack" };
+  }
+  if (String(attrs.status || "").toLowerCase() !== "paid") {
+    return { ignored: "payment_incomplete" };
+  }
+  return {
+    type: "order_created",
+    userId: customData.user_id || customData.userId || null,
+    email,
+    match: [],
+    grant: { provider: "lemon", reference: `order:${payload.data.id}`, plan_id: "credits", credits: getCreditPackSize() },
+  };
+}
+
+// Subscription invoices only change access: a fully refunded one takes Pro away and the
+// next successful payment gives it back. The subscription's own state arrives separately
+// as subscription_updated.
+function normalizeSubscriptionInvoice(eventName, attrs) {
+  const subscriptionId = attrs.subscription_id ? String(attrs.subscription_id) : null;
+  if (!subscriptionId) return { ignored: "no_subscription" };
+  const match = [["lemon_subscription_id", subscriptionId]];
+  if (eventName === "subscription_payment_refunded") {
+    if (String(attrs.status || "").toLowerCase() !== "refunded") return { ignored: "partial_refund" };
+    return { type: eventName, match, access: { revoke: "refund" } };
+  }
+  if (eventName === "subscription_payment_success" || eventName === "subscription_payment_recovered") {
+    return { type: eventName, match, access: { restore: "refund" } };
+  }
+  return { ignored: "unhandled_event" };
+}
+
+export function createLemonBilling() {
+  return {
+    name: "lemon",
+    isConfigured: () => PLANS.some((plan) => getEnv(plan.lemonUrlEnv)),
+    supportsPlan: (plan) =>
+      Boolean(getEnv(plan.lemonUrlEnv)) && (plan.kind !== "credits" || Boolean(getEnv("LEMON_CREDITS_VARIANT_ID"))),
+
+    // Lemon checkout URLs don't expose their price; PLAN_<ID>_PRICE is shown instead.
+    // Trials are configured on the Lemon variant, so `trialDays` is not sent.
+    async describePrice() {
+      return null;
+    },
+
+    async createCheckout({ user, siteUrl, plan, promo }) {
+      let u;
+      try {
+        u = new URL(getEnv(plan.lemonUrlEnv));
+      } catch (_) {
+        throw new Error(`${plan.lemonUrlEnv} is invalid.`);
+      }
+      appendIfValue(u.searchParams, "checkout[email]", user.email);
+      appendIfValue(u.searchParams, "checkout[custom][user_id]", user.id);
+      appendIfValue(u.searchParams, "checkout[custom][user_email]", user.email);
+      appendIfValue(u.searchParams, "checkout[custom][plan]", plan.id);
+      // Lemon validates the code itself and shows its own discount field otherwise.
+      appendIfValue(u.searchParams, "checkout[discount_code]", promo);
+      appendIfValue(u.searchParams, "checkout[success_url]", `${siteUrl}/?checkout=success&paid=1`);
+      appendIfValue(u.searchParams, "checkout[cancel_url]", `${siteUrl}/`);
+      return { url: u.toString(), provider: "lemon" };
+    },
+
+    // Subscriptions carry a signed customer portal link that expires after a day, so it is
+    // fetched fresh; LEMON_CUSTOMER_PORTAL_URL (the store's /billing page) is the fallback.
+    async createPortal({ profile }) {
+      if (getEnv("LEMON_API_KEY") && profile?.lemon_subscription_id) {
+        const found = await lemonRequest(`/subscriptions/${encodeURIComponent(profile.lemon_subscription_id)}`);
+        const url = found?.data?.attributes?.urls?.customer_portal;
+        if (url) return { url, provider: "lemon" };
+      }
+      const fallback = getEnv("LEMON_CUSTOMER_PORTAL_URL");
+      return fallback ? { url: fallback, provider: "lemon" } : null;
+    },
+
+    async verifyWebhook(req) {
+      const secret = getEnv("LEMON_WEBHOOK_SECRET");
+      if (!secret) {
+        return { ok: false, status: 500, error: "Missing LEMON_WEBHOOK_SECRET" };
+      }
+      const rawBody = await req.text();
+      if (!verifyLemonSignature(rawBody, req.headers.get("x-signature"), secret)) {
+        return { ok: false, status: 400, error: "Invalid signature" };
+      }
+      try {
+        return { ok: true, event: rawBody ? JSON.parse(rawBody) : {} };
+      } catch (_) {
+        return { ok: false, status: 400, error: "Invalid JSON payload" };
+      }
+    },
+
+    // Lemon deliveries carry no event id, so one is derived from the event name, the
+    // subscription and its `updated_at`; redeliveries of the same change share it.
+    eventInfo(payload) {
+      const eventName = String(payload?.meta?.event_name || "").toLowerCase();
+      const attrs = payload?.data?.attributes || {};
+      const objectId = payload?.data?.id ? String(payload.data.id) : null;
+      const occurredAt = toIsoOrNull(attrs.updated_at) || toIsoOrNull(attrs.created_at);
+      return {
+        id: objectId && occurredAt ? `${eventName}:${objectId}:${occurredAt}` : null,
+        type: eventName,
+        occurredAt,
+        subscriptionId: String(payload?.data?.type || "").toLowerCase() === "subscriptions" ? objectId : null,
+      };
+    },
+
+    async normalizeEvent(payload) {
+      const eventName = String(payload?.meta?.event_name || "").toLowerCase();
+      const type = String(payload?.data?.type || "").toLowerCase();
+      const attrs = payload?.data?.attributes || {};
+      const customData = payload?.meta?.custom_data || attrs.custom_data || {};
+      const email =
+        customData.user_email || customData.userEmail || attrs.user_email || attrs.email || attrs.customer_email || null;
+
+      if (eventName === "order_created") {
+        return normalizeOrder(payload, customData, email ? String(email) : null);
+      }
+      if (eventName === "order_refunded") {
+        if (String(attrs.status || "").toLowerCase() !== "refunded") return { ignored: "partial_refund" };
+        return {
+          type: eventName,
+          userId: customData.user_id || customData.userId || null,
+          email: email ? String(email) : null,
+          match: [],
+          grantRevocation: { provider: "lemon", reference: `order:${payload.data?.id}`, revoked: true },
+        };
+      }
+      if (type === "subscription-invoices") {
+        return normalizeSubscriptionInvoice(eventName, attrs);
+      }
+      if (!eventName.startsWith("subscription_") && type !== "subscriptions") {
+        return { ignored: "unhandled_event" };
+      }
+
+      const allowedProductId = getEnv("LEMON_PRODUCT_ID");
+      const productId = String(attrs.product_id || attrs.first_order_item?.product_id || "");
+      if (allowedProductId && productId && String(allowedProductId) !== productId) {
+        return { ignored: "product_mismatch" };
+      }
+
+      const state = lemonSubscriptionState(type === "subscriptions" ? payload?.data?.id : null, attrs);
+      // A new subscription starts with a clean slate after an earlier refund or dispute.
+      if (eventName === "subscription_created") state.access_revoked_reason = null;
+      return {
+        type: eventName || type,
+        userId: customData.user_id || customData.userId || attrs.user_id || null,
+        email: email ? String(email) : null,
+        match: [["lemon_subscription_id", state.lemon_subscription_id]],
+        state,
+      };
+    },
+
+    async fetchState(profile) {
+      if (!getEnv("LEMON_API_KEY") || !profile.lemon_subscription_id) return null;
+      const found = await lemonRequest(`/subscriptions/${encodeURIComponent(profile.lemon_subscription_id)}`);
+      return found?.data ? lemonSubscriptionState(found.data.id, found.data.attributes) : null;
+    },
+
+    // Subscriptions are found by the id stored from webhooks and by the account email, so
+    // one whose webhook never matched the profile is cancelled too. Without an API key
+    // only a profile known to have a live Lemon plan is an error.
+    async cancel(profile, email) {
+      const status = String(profile?.subscription_status || "none").toLowerCase();
+      const isLemon = profile?.billing_provider === "lemon" || String(profile?.plan_id || "").startsWith("lemon");
+      const knownLive = isLemon && !FINISHED_STATUSES.has(status) && status !== "canceled" && status !== "none";
+      if (!getEnv("LEMON_API_KEY")) {
+        if (knownLive) {
+          throw new Error("LEMON_API_KEY is not set, so the Lemon Squeezy subscription could not be cancelled.");
+        }
+        return [];
+      }
+
+      const subscriptions = new Map();
+      if (profile?.lemon_subscription_id) {
+        const found = await lemonRequest(`/subscriptions/${encodeURIComponent(profile.lemon_subscription_id)}`);
+        if (found?.data) subscriptions.set(String(found.data.id), found.data);
+      }
+      for (const address of new Set([email, profile?.email].filter(Boolean))) {
+        const found = await lemonRequest(`/subscriptions?filter[user_email]=${encodeURIComponent(address)}`);
+        for (const sub of found?.data || []) subscriptions.set(String(sub.id), sub);
+      }
+
+      const cancelled = [];
+      for (const sub of subscriptions.values()) {
+        if (FINISHED_STATUSES.has(String(sub?.attributes?.status || "").toLowerCase())) continue;
+        await lemonRequest(`/subscriptions/${encodeURIComponent(sub.id)}`, { method: "DELETE" });
+        cancelled.push({ provider: "lemon", id: String(sub.id) });
+      }
+      return cancelled;
+    },
+  };
+}
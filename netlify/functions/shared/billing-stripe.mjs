@@ -0,0 +1,382 @@
+import Stripe from "stripe";
+import { getEnv } from "./env.mjs";
+import { PLANS, getCreditPackSize, promotionCodesAllowed } from "./plans.mjs";
+
+const CANCELLABLE_STATUSES = new Set(["active", "trialing", "past_due", "unpaid", "incomplete", "paused"]);
+const ACCESS_STATUSES = new Set(["active", "trialing"]);
+const PRICE_CACHE_MS = 10 * 60 * 1000;
+const priceCache = new Map();
+
+function toIso(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Stripe fields hold either an id or an expanded object.
+function idOf(value) {
+  return typeof value === "string" ? value : value?.id || null;
+}
+
+function isMissing(err) {
+  return err?.code === "resource_missing" || err?.statusCode === 404;
+}
+
+// Profile columns describing a Stripe subscription object.
+export function stripeSubscriptionState(subscription) {
+  return {
+    billing_provider: "stripe",
+    subscription_status: subscription.status,
+    current_period_end: toIso(subscription.current_period_end),
+    cancel_at_period_end: subscription.cancel_at_period_end === true,
+    plan_id: subscription.items?.data?.[0]?.price?.id || null,
+    stripe_customer_id: idOf(subscription.customer),
+    stripe_subscription_id: subscription.id,
+  };
+}
+
+function matchFor(state) {
+  return [
+    ["stripe_subscription_id", state.stripe_subscription_id],
+    ["stripe_customer_id", state.stripe_customer_id],
+  ];
+}
+
+export function createStripeBilling() {
+  const secretKey = () => getEnv("STRIPE_SECRET_KEY");
+  const client = () => new Stripe(secretKey());
+
+  const retrieveState = async (stripe, subscriptionId) => {
+    try {
+      return stripeSubscriptionState(await stripe.subscriptions.retrieve(subscriptionId));
+    } catch (err) {
+      if (isMissing(err)) return null;
+      throw err;
+    }
+  };
+
+  // Discount for a campaign code: a customer-facing promotion code, else a coupon id.
+  const findDiscount = async (stripe, code) => {
+    const found = await stripe.promotionCodes.list({ code, active: true, limit: 1 });
+    if (found?.data?.[0]) return { promotion_code: found.data[0].id };
+    try {
+      const coupon = await stripe.coupons.retrieve(code);
+      return coupon?.valid ? { coupon: coupon.id } : null;
+    } catch (err) {
+      if (isMissing(err)) return null;
+      throw err;
+    }
+  };
+
+  // A completed Checkout Session. Credit packs (mode "payment") grant the credits recorded
+  // in the session metadata once paid. For subscriptions, the subscription is fetched for
+  // its real status; when that fails the payment itself is taken as proof of an active one.
+  const normalizeCheckoutSession = async (stripe, session) => {
+    const userId = session.client_reference_id || session.metadata?.user_id || null;
+    const email = session.customer_details?.email || session.customer_email || null;
+
+    if (session.mode === "payment") {
+      const credits = parseInt(session.metadata?.credits, 10);
+      if (!(credits > 0)) return { ignored: "no_credits" };
+      if (session.payment_status !== "paid") return { ignored: "payment_incomplete" };
+      return {
+        type: "checkout.session.completed",
+        userId,
+        email,
+        match: [["stripe_customer_id", idOf(session.customer)]],
+        grant: { provider: "stripe", reference: session.id, plan_id: session.metadata?.plan || null, credits },
+      };
+    }
+
+    const subscriptionId = idOf(session.subscription);
+    let state = {
+      billing_provider: "stripe",
+      // Sessions that start a trial need no payment.
+      subscription_status: session.payment_status === "no_payment_required" ? "trialing" : "active",
+      plan_id: null,
+      stripe_customer_id: idOf(session.customer),
+      stripe_subscription_id: subscriptionId,
+    };
+    if (subscriptionId) {
+      const fetched = await retrieveState(stripe, subscriptionId).catch(() => null);
+      if (fetched) state = fetched;
+    }
+    // A new subscription starts with a clean slate after an earlier refund or dispute.
+    state.access_revoked_reason = null;
+    return { type: "checkout.session.completed", userId, email, match: matchFor(state), state };
+  };
+
+  // Refunds and disputes act on what the charge paid for: Pro for a subscription invoice,
+  // the credit pack granted by the Checkout Session for a one-time payment.
+  const normalizeChargeAccess = async (stripe, type, charge, { revoke = null, restore = null }) => {
+    const customerId = idOf(charge.customer);
+    if (idOf(charge.invoice)) {
+      return {
+        type,
+        match: [["stripe_customer_id", customerId]],
+        access: revoke ? { revoke } : { restore },
+      };
+    }
+
+    const paymentIntentId = idOf(charge.payment_intent);
+    if (!paymentIntentId) return { ignored: "no_payment_intent" };
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+    const session = sessions?.data?.[0];
+    if (!session || session.mode !== "payment") return { ignored: "not_a_credit_pack" };
+    return {
+      type,
+      userId: session.client_reference_id || session.metadata?.user_id || null,
+      match: [["stripe_customer_id", customerId || idOf(session.customer)]],
+      grantRevocation: { provider: "stripe", reference: session.id, revoked: Boolean(revoke) },
+    };
+  };
+
+  return {
+    name: "stripe",
+    isConfigured: () => Boolean(secretKey() && PLANS.some((plan) => getEnv(plan.stripePriceEnv))),
+    supportsPlan: (plan) => Boolean(secretKey() && getEnv(plan.stripePriceEnv)),
+
+    // Amount and currency of a plan's Stripe price, cached per instance for a few minutes.
+    async describePrice(plan) {
+      const priceId = getEnv(plan.stripePriceEnv);
+      if (!secretKey() || !priceId) return null;
+      const cached = priceCache.get(priceId);
+      if (cached && cached.expires > Date.now()) return cached.value;
+
+      const price = await client().prices.retrieve(priceId);
+      const value = { amount: price.unit_amount, currency: price.currency };
+      priceCache.set(priceId, { value, expires: Date.now() + PRICE_CACHE_MS });
+      return value;
+    },
+
+    async createCheckout({ user, profile, siteUrl, plan, promo, trialDays = 0 }) {
+      const stripe = client();
+      const isCredits = plan.kind === "credits";
+      const sessionParams = {
+        mode: isCredits ? "payment" : "subscription",
+        payment_method_types: ["card"],
+        line_items: [{ price: getEnv(plan.stripePriceEnv), quantity: 1 }],
+        client_reference_id: user.id,
+        metadata: { user_id: user.id, plan: plan.id, ...(isCredits ? { credits: String(getCreditPackSize()) } : {}) },
+        success_url: `${siteUrl}/api/stripe/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${siteUrl}/`,
+      };
+
+      // Reuse existing Stripe customer if available
+      if (profile?.stripe_customer_id) {
+        sessionParams.customer = profile.stripe_customer_id;
+      } else {
+        sessionParams.customer_email = user.email;
+      }
+
+      // Subscription events then carry the user id. A trial that ends without a card on
+      // file cancels rather than leaving an unpaid subscription behind.
+      if (!isCredits) {
+        sessionParams.subscription_data = { metadata: { user_id: user.id, plan: plan.id } };
+        if (trialDays > 0) {
+          sessionParams.subscription_data.trial_period_days = trialDays;
+          sessionParams.subscription_data.trial_settings = { end_behavior: { missing_payment_method: "cancel" } };
+        }
+      }
+
+      // Stripe takes either a fixed discount or the promotion code field, not both. An
+      // unknown campaign code falls back to the field so the user can still enter one.
+      const discount = promo ? await findDiscount(stripe, promo) : null;
+      if (discount) {
+        sessionParams.discounts = [discount];
+      } else if (promotionCodesAllowed()) {
+        sessionParams.allow_promotion_codes = true;
+      }
+
+      const session = await stripe.checkout.sessions.create(sessionParams);
+      if (!session.url) {
+        throw new Error("Stripe checkout did not return a redirect URL.");
+      }
+      return { url: session.url, provider: "stripe", promo_applied: Boolean(discount), trial_days: isCredits ? 0 : trialDays };
+    },
+
+    // Billing portal session (cancel, card update, invoices) for the stored customer. The
+    // portal's features are configured in the Stripe dashboard.
+    async createPortal({ profile, returnUrl }) {
+      if (!profile?.stripe_customer_id) return null;
+      if (!secretKey()) throw new Error("Stripe is not configured.");
+      const session = await client().billingPortal.sessions.create({
+        customer: profile.stripe_customer_id,
+        return_url: returnUrl,
+      });
+      return { url: session.url, provider: "stripe" };
+    },
+
+    async verifyWebhook(req) {
+      const webhookSecret = getEnv("STRIPE_WEBHOOK_SECRET");
+      if (!secretKey() || !webhookSecret) {
+        return { ok: false, status: 500, error: "Missing STRIPE_SECRET_KEY or STRIPE_WEBHOOK_SECRET" };
+      }
+      const signature = req.headers.get("stripe-signature");
+      if (!signature) {
+        return { ok: false, status: 400, error: "Missing stripe-signature header" };
+      }
+      const body = await req.text();
+      try {
+        return { ok: true, event: client().webhooks.constructEvent(body, signature, webhookSecret) };
+      } catch (err) {
+        console.error("Webhook signature verification failed:", err.message);
+        return { ok: false, status: 400, error: "Invalid signature" };
+      }
+    },
+
+    eventInfo(event) {
+      const object = event?.data?.object || {};
+      return {
+        id: event?.id || null,
+        type: event?.type || "",
+        occurredAt: toIso(event?.created),
+        subscriptionId: object.object === "subscription" ? object.id : idOf(object.subscription),
+      };
+    },
+
+    async normalizeEvent(event) {
+      const object = event?.data?.object || {};
+      switch (event?.type) {
+        case "checkout.session.completed":
+          return normalizeCheckoutSession(client(), object);
+
+        case "customer.subscription.created":
+        case "customer.subscription.updated":
+        case "customer.subscription.trial_will_end":
+        case "customer.subscription.paused":
+        case "customer.subscription.resumed":
+        case "customer.subscription.deleted": {
+          const state = stripeSubscriptionState(object);
+          return { type: event.type, userId: object.metadata?.user_id || null, match: matchFor(state), state };
+        }
+
+        // Invoices say little about the subscription itself, so its current state is
+        // fetched; the invoice outcome is only used when Stripe can't be reached. The $0
+        // invoice that opens a trial means the subscription is trialing, not active.
+        case "invoice.payment_succeeded":
+        case "invoice.payment_failed": {
+          const subscriptionId = idOf(object.subscription);
+          if (!subscriptionId) return { ignored: "no_subscription" };
+          const state = (await retrieveState(client(), subscriptionId).catch(() => null)) || {
+            billing_provider: "stripe",
+            subscription_status:
+              event.type === "invoice.payment_failed"
+                ? "past_due"
+                : object.billing_reason === "subscription_create" && object.amount_paid === 0
+                  ? "trialing"
+                  : "active",
+            stripe_customer_id: idOf(object.customer),
+            stripe_subscription_id: subscriptionId,
+          };
+          // A paid invoice after a refund means the customer is paying again.
+          const paid = event.type === "invoice.payment_succeeded" && object.amount_paid > 0;
+          return { type: event.type, match: matchFor(state), state, ...(paid ? { access: { restore: "refund" } } : {}) };
+        }
+
+        // Only a full refund takes access away; partial refunds are goodwill credits.
+        case "charge.refunded":
+          if (object.refunded !== true) return { ignored: "partial_refund" };
+          return normalizeChargeAccess(client(), event.type, object, { revoke: "refund" });
+
+        case "charge.dispute.created":
+        case "charge.dispute.closed": {
+          if (event.type === "charge.dispute.closed" && object.status !== "won") return { ignored: "dispute_lost" };
+          const stripe = client();
+          const charge = typeof object.charge === "string" ? await stripe.charges.retrieve(object.charge) : object.charge;
+          if (!charge) return { ignored: "no_charge" };
+          return normalizeChargeAccess(
+            stripe,
+            event.type,
+            charge,
+            event.type === "charge.dispute.created" ? { revoke: "dispute" } : { restore: "dispute" }
+          );
+        }
+
+        // Keeps the stored email in step with the Stripe customer. Matched by customer id
+        // only, never by the (old) email.
+        case "customer.updated": {
+          if (!object.email || !("email" in (event.data?.previous_attributes || {}))) {
+            return { ignored: "email_unchanged" };
+          }
+          return {
+            type: event.type,
+            userId: object.metadata?.user_id || null,
+            match: [["stripe_customer_id", object.id]],
+            state: { email: object.email },
+          };
+        }
+
+        default:
+          return { ignored: "unhandled_event" };
+      }
+    },
+
+    // Looks up a Checkout Session after the success redirect.
+    async completeCheckout(sessionId) {
+      const stripe = client();
+      return normalizeCheckoutSession(stripe, await stripe.checkout.sessions.retrieve(sessionId));
+    },
+
+    // Current subscription for a profile: by subscription id, else the customer's latest,
+    // else a customer found by the profile email.
+    async fetchState(profile) {
+      if (!secretKey()) return null;
+      const stripe = client();
+
+      if (profile.stripe_subscription_id) {
+        return retrieveState(stripe, profile.stripe_subscription_id);
+      }
+
+      let customerId = profile.stripe_customer_id || null;
+      if (!customerId && profile.email) {
+        const customers = await stripe.customers.list({ email: profile.email, limit: 1 });
+        customerId = customers?.data?.[0]?.id || null;
+      }
+      if (!customerId) return null;
+
+      const subs = await stripe.subscriptions.list({ customer: customerId, status: "all", limit: 10 });
+      const subscription =
+        (subs?.data || []).find((s) => ACCESS_STATUSES.has(String(s.status || "").toLowerCase())) || subs?.data?.[0] || null;
+      return subscription ? stripeSubscriptionState(subscription) : null;
+    },
+
+    // Cancels every live subscription of the stored customer, plus those of customers
+    // found by email: a payment made before the ids were stored, or whose webhook never
+    // matched the profile, still has to stop billing when the account is deleted.
+    async cancel(profile, email) {
+      const subscriptionId = profile?.stripe_subscription_id;
+      const emails = [...new Set([email, profile?.email].filter(Boolean))];
+      const customerIds = new Set(profile?.stripe_customer_id ? [profile.stripe_customer_id] : []);
+      if (!subscriptionId && customerIds.size === 0 && emails.length === 0) return [];
+      if (!secretKey()) {
+        if (!subscriptionId && customerIds.size === 0) return [];
+        throw new Error("Stripe is not configured, so the subscription could not be cancelled.");
+      }
+      const stripe = client();
+
+      for (const address of emails) {
+        const customers = await stripe.customers.list({ email: address, limit: 10 });
+        for (const customer of customers?.data || []) customerIds.add(customer.id);
+      }
+
+      const ids = new Set();
+      for (const customerId of customerIds) {
+        const list = await stripe.subscriptions.list({ customer: customerId, status: "all", limit: 100 });
+        for (const sub of list.data) {
+          if (CANCELLABLE_STATUSES.has(sub.status)) ids.add(sub.id);
+        }
+      }
+      if (subscriptionId && customerIds.size === 0) {
+        const sub = await stripe.subscriptions.retrieve(subscriptionId).catch((err) => {
+          if (isMissing(err)) return null;
+          throw err;
+        });
+        if (sub && CANCELLABLE_STATUSES.has(sub.status)) ids.add(sub.id);
+      }
+
+      for (const id of ids) {
+        await stripe.subscriptions.cancel(id);
+      }
+      return [...ids].map((id) => ({ provider: "stripe", id }));
+    },
+  };
+}
@@ -0,0 +1,420 @@
+import { jsonResponse } from "./http.mjs";
+import { getSupabaseAdmin, normalizeEmail } from "./supabase.mjs";
+import { ENTITLEMENT_COLUMNS, computeEntitlement, normalizeSubscriptionStatus } from "./entitlement.mjs";
+import { createStripeBilling } from "./billing-stripe.mjs";
+import { createLemonBilling } from "./billing-lemon.mjs";
+import { PLANS, formatPrice, getCreditPackSize, getPlanPriceOverride, getTrialDays } from "./plans.mjs";
+import { grantCredits, setCreditGrantRevoked } from "./credits.mjs";
+
+export { ENTITLEMENT_COLUMNS, computeEntitlement } from "./entitlement.mjs";
+
+// Billing providers share one interface so webhooks, checkout, status sync and account
+// deletion never branch on the provider:
+//   name, isConfigured() -> can take new checkouts, supportsPlan(plan) -> sells that plan,
+//   describePrice(plan) -> { amount, currency } | null (minor units),
+//   createCheckout({ user, profile, siteUrl, plan, promo?, trialDays? }) -> { url, provider },
+//   createPortal({ profile, returnUrl }) -> { url, provider } | null (self-serve management),
+//   verifyWebhook(req) -> { ok, event } | { ok: false, status, error },
+//   eventInfo(event) -> { id, type, occurredAt, subscriptionId } (for billing_events),
+//   normalizeEvent(event) -> { ignored } | { type, userId?, email?, match, state?, grant?, access?, grantRevocation? },
+//   fetchState(profile) -> state | null (the subscription as the provider sees it now),
+//   cancel(profile, email) -> [{ provider, id }] (throws when a live one can't be cancelled).
+// `state` uses profile column names (billing_provider, subscription_status, current_period_end,
+// cancel_at_period_end, plan_id and the provider's id columns); `match` lists
+// [column, value] pairs that identify the profile when the event carries no user id.
+// `grant` ({ provider, reference, plan_id, credits }) is a paid credit pack.
+// `access` ({ revoke: reason } | { restore: reason }) takes Pro away after a full refund or
+// a dispute, or gives it back; a restore only clears a revocation with the same reason.
+// `grantRevocation` ({ provider, reference, revoked }) does the same for a credit pack.
+
+const PROVIDERS = {
+  stripe: createStripeBilling(),
+  lemon: createLemonBilling(),
+};
+
+export function getBillingProvider(name) {
+  return PROVIDERS[String(name || "").trim().toLowerCase()] || null;
+}
+
+// Lemon Squeezy takes checkouts when any LEMON_CHECKOUT_URL* is set; otherwise Stripe.
+export function getCheckoutProvider() {
+  return [PROVIDERS.lemon, PROVIDERS.stripe].find((provider) => provider.isConfigured()) || null;
+}
+
+// The provider that owns a profile's subscription. Rows written before `billing_provider`
+// existed are recognised by their Lemon plan id.
+export function getProfileBillingProvider(profile) {
+  if (profile?.billing_provider) return getBillingProvider(profile.billing_provider);
+  if (profile?.lemon_subscription_id || String(profile?.plan_id || "").startsWith("lemon")) return PROVIDERS.lemon;
+  return PROVIDERS.stripe;
+}
+
+export async function resolveBillingUser(supabase, normalized) {
+  if (normalized.userId) return normalized.userId;
+
+  for (const [column, value] of normalized.match || []) {
+    if (!value) continue;
+    const { data } = await supabase.from("profiles").select("id").eq(column, value).limit(1).maybeSingle();
+    if (data?.id) return data.id;
+  }
+
+  // Exact match on the lower-cased address; a LIKE pattern would treat "_" and "%" in an
+  // email as wildcards and could match someone else's profile.
+  const email = normalizeEmail(normalized.email);
+  if (email) {
+    const { data } = await supabase.from("profiles").select("id").eq("email", email).limit(1).maybeSingle();
+    if (data?.id) return data.id;
+  }
+  return null;
+}
+
+// Profile update for a normalized state on top of the `current` row: unknown (undefined)
+// columns are left alone, `past_due_since` starts when the status first turns past_due,
+// and `is_pro` is always recomputed from the merged result.
+export function toProfileUpdate(state, current = null, access = null) {
+  const update = {};
+  for (const [column, value] of Object.entries(state || {})) {
+    if (value !== undefined) update[column] = value;
+  }
+  if (update.email) update.email = normalizeEmail(update.email);
+
+  if ("subscription_status" in update) {
+    update.subscription_status = normalizeSubscriptionStatus(update.subscription_status);
+    if (update.subscription_status !== "past_due") {
+      update.past_due_since = null;
+    } else if (normalizeSubscriptionStatus(current?.subscription_status) !== "past_due" || !current?.past_due_since) {
+      update.past_due_since = new Date().toISOString();
+    }
+  }
+
+  if (access?.revoke) {
+    update.access_revoked_reason = access.revoke;
+  } else if (access?.restore && current?.access_revoked_reason === access.restore) {
+    update.access_revoked_reason = null;
+  }
+
+  update.is_pro = computeEntitlement({ ...current, ...update }).isPro;
+  update.updated_at = new Date().toISOString();
+  return update;
+}
+
+export async function applyBillingState(supabase, userId, state, { email = null, access = null } = {}) {
+  const { data: current, error: readError } = await supabase
+    .from("profiles")
+    .select(ENTITLEMENT_COLUMNS)
+    .eq("id", userId)
+    .maybeSingle();
+  if (readError) throw new Error(readError.message);
+
+  const { data, error } = await supabase
+    .from("profiles")
+    .upsert(
+      { id: userId, ...(email ? { email: normalizeEmail(email) } : {}), ...toProfileUpdate(state, current, access) },
+      { onConflict: "id" }
+    )
+    .select("*")
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Applies a normalized event to the matching profile: credits for a paid pack (or their
+// revocation), the new subscription state and access changes otherwise.
+// Returns { matched, userId, profile }.
+export async function applyBillingEvent(supabase, normalized) {
+  const userId = await resolveBillingUser(supabase, normalized);
+  if (!userId) return { matched: false, userId: null, profile: null };
+  if (normalized.grant) {
+    await grantCredits(supabase, userId, normalized.grant);
+  }
+  if (normalized.grantRevocation) {
+    await setCreditGrantRevoked(supabase, normalized.grantRevocation);
+  }
+  const profile =
+    normalized.state || normalized.access
+      ? await applyBillingState(supabase, userId, normalized.state || {}, {
+          email: normalized.email,
+          access: normalized.access,
+        })
+      : null;
+  return { matched: true, userId, profile };
+}
+
+// Records a delivery in billing_events and returns what claim_billing_event decided:
+// { id, action: "process" | "duplicate" | "stale", status }. Events without an id, or
+// a table that can't be written, fall back to processing so billing is never blocked.
+// `retryUnmatched` claims an event that matched no profile before.
+async function claimBillingEvent(supabase, provider, event, { retryUnmatched = false } = {}) {
+  const info = provider.eventInfo(event);
+  if (!info.id) return { id: null, action: "process", type: info.type };
+
+  const { data, error } = await supabase.rpc("claim_billing_event", {
+    p_provider: provider.name,
+    p_event_id: info.id,
+    p_event_type: info.type || null,
+    p_subscription_id: info.subscriptionId || null,
+    p_occurred_at: info.occurredAt || null,
+    p_payload: event,
+    p_retry_unmatched: retryUnmatched,
+  });
+  if (error || !data) {
+    console.error(`Could not record ${provider.name} event ${info.id}:`, error?.message || "no result");
+    return { id: null, action: "process", type: info.type };
+  }
+  return { ...data, type: info.type };
+}
+
+async function finishBillingEvent(supabase, id, fields) {
+  if (!id) return;
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("billing_events")
+    .update({ ...fields, updated_at: now, processed_at: now })
+    .eq("id", id);
+  if (error) console.error(`Could not update billing event ${id}:`, error.message);
+}
+
+// Normalizes and applies a claimed event, then stores its outcome. Returns
+// { status: "applied" | "unmatched" | "ignored" | "failed", matched?, reason?, error? }.
+async function processBillingEvent(supabase, provider, event, eventRowId) {
+  let type = provider.eventInfo(event).type || "event";
+  try {
+    const normalized = await provider.normalizeEvent(event);
+    if (normalized.ignored) {
+      await finishBillingEvent(supabase, eventRowId, { status: "ignored" });
+      return { status: "ignored", reason: normalized.ignored };
+    }
+
+    type = normalized.type || type;
+    const { matched, userId } = await applyBillingEvent(supabase, normalized);
+    if (!matched) {
+      console.error(`No profile matched ${provider.name} ${type}`);
+    }
+    const status = matched ? "applied" : "unmatched";
+    await finishBillingEvent(supabase, eventRowId, { status, user_id: userId });
+    return { status, matched };
+  } catch (err) {
+    console.error(`Error applying ${provider.name} ${type}:`, err.message);
+    await finishBillingEvent(supabase, eventRowId, { status: "failed", error: err.message });
+    return { status: "failed", error: err.message };
+  }
+}
+
+// Shared webhook flow: verify, record, normalize, apply. Redeliveries and events older
+// than the last one applied to their subscription are acknowledged without changes;
+// failures return 500 so the provider redelivers. `supabase` defaults to the admin client.
+export async function handleBillingWebhook(provider, req, { supabase = null } = {}) {
+  const verified = await provider.verifyWebhook(req);
+  if (!verified.ok) {
+    return jsonResponse(verified.status || 400, { error: verified.error });
+  }
+
+  supabase = supabase || getSupabaseAdmin();
+  const claim = await claimBillingEvent(supabase, provider, verified.event);
+  if (claim.action === "duplicate") {
+    return jsonResponse(200, { received: true, duplicate: true });
+  }
+  if (claim.action === "stale") {
+    console.info(`Skipped stale ${provider.name} ${claim.type}`);
+    return jsonResponse(200, { received: true, stale: true });
+  }
+
+  const result = await processBillingEvent(supabase, provider, verified.event, claim.id);
+  if (result.status === "failed") {
+    return jsonResponse(500, { error: "Could not apply billing event" });
+  }
+  if (result.status === "ignored") {
+    return jsonResponse(200, { received: true, ignored: true, reason: result.reason });
+  }
+  return jsonResponse(200, { received: true, matched: result.matched });
+}
+
+// Runs a recorded billing_events row again from its stored payload (its signature was
+// checked when it arrived). Only failed and unmatched events are processed again (an
+// unmatched one may match a profile created since); the same duplicate and stale rules
+// apply as for a live delivery.
+export async function replayBillingEvent(supabase, row) {
+  const provider = getBillingProvider(row?.provider);
+  if (!provider) {
+    return { status: "failed", error: `Unknown billing provider: ${row?.provider}` };
+  }
+  const claim = await claimBillingEvent(supabase, provider, row.payload, { retryUnmatched: true });
+  if (claim.action !== "process") {
+    return { status: claim.status || claim.action };
+  }
+  return processBillingEvent(supabase, provider, row.payload, claim.id);
+}
+
+// Plans the checkout provider sells, for /api/config. Prices come from PLAN_<ID>_PRICE or
+// the provider; a plan whose price can't be read is still listed, with `price: null`.
+// `trial_days` applies to accounts that have never subscribed.
+export async function getPlanCatalog() {
+  const provider = getCheckoutProvider();
+  if (!provider) return { provider: null, plans: [] };
+
+  const plans = [];
+  for (const plan of PLANS.filter((p) => provider.supportsPlan(p))) {
+    let described = null;
+    try {
+      described = await provider.describePrice(plan);
+    } catch (err) {
+      console.error(`Could not read the ${plan.id} price from ${provider.name}:`, err.message);
+    }
+    plans.push({
+      id: plan.id,
+      kind: plan.kind,
+      name: plan.name,
+      interval: plan.interval,
+      credits: plan.kind === "credits" ? getCreditPackSize() : null,
+      trial_days: plan.kind === "subscription" ? getTrialDays() : 0,
+      price: getPlanPriceOverride(plan) || formatPrice(described?.amount, described?.currency),
+      amount: described?.amount ?? null,
+      currency: described?.currency ?? null,
+    });
+  }
+  return { provider: provider.name, plans };
+}
+
+// Stamps billing_checked_at once a profile has been compared with its provider.
+async function markBillingChecked(supabase, userId) {
+  const checkedAt = new Date().toISOString();
+  const { error } = await supabase.from("profiles").update({ billing_checked_at: checkedAt }).eq("id", userId);
+  if (error) throw new Error(error.message);
+  return checkedAt;
+}
+
+// Refreshes a profile from its provider right away (after a checkout; otherwise the
+// scheduled reconciliation does this). Returns the stored profile unchanged when the
+// provider has nothing for it or can't be reached.
+export async function syncBillingStatus(supabase, profile) {
+  if (!profile) return profile;
+  const provider = getProfileBillingProvider(profile);
+  if (!provider) return profile;
+  try {
+    const state = await provider.fetchState(profile);
+    const synced = state ? await applyBillingState(supabase, profile.id, state) : profile;
+    return { ...synced, billing_checked_at: await markBillingChecked(supabase, profile.id) };
+  } catch (_) {
+    return profile;
+  }
+}
+
+// Columns the reconciliation compares with the provider's view of the subscription.
+const RECONCILED_COLUMNS = ["subscription_status", "current_period_end", "cancel_at_period_end", "plan_id"];
+const RECONCILE_PAGE_SIZE = 50;
+// Scheduled functions are stopped after 30 seconds; the rest waits for the next run.
+const RECONCILE_BUDGET_MS = 25 * 1000;
+// Unmatched events (usually paid before the profile existed) retried per run, least
+// recently tried first, for this long after they arrived.
+const UNMATCHED_RETRY_LIMIT = 20;
+const UNMATCHED_RETRY_DAYS = 30;
+
+function sameBillingValue(column, stored, actual) {
+  if (column === "subscription_status") {
+    return normalizeSubscriptionStatus(stored) === normalizeSubscriptionStatus(actual);
+  }
+  if (column === "current_period_end") {
+    return stored && actual ? Date.parse(stored) === Date.parse(actual) : !stored && !actual;
+  }
+  return (stored ?? null) === (actual ?? null);
+}
+
+// { column: { from, to } } for every reconciled column where the stored profile differs
+// from the provider's state, plus a stored is_pro that no longer matches the entitlement.
+export function findBillingDrift(profile, state) {
+  const changes = {};
+  for (const column of RECONCILED_COLUMNS) {
+    if (state[column] === undefined || sameBillingValue(column, profile[column], state[column])) continue;
+    changes[column] = { from: profile[column] ?? null, to: state[column] };
+  }
+  const isPro = computeEntitlement({ ...profile, ...toProfileUpdate(state, profile) }).isPro;
+  if (profile.is_pro !== isPro) changes.is_pro = { from: profile.is_pro ?? null, to: isPro };
+  return changes;
+}
+
+// Replays recent unmatched billing events so one that arrived before its profile existed
+// is applied once the profile does. Returns { retried, rematched }.
+async function retryUnmatchedBillingEvents(supabase, deadline) {
+  const since = new Date(Date.now() - UNMATCHED_RETRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: rows, error } = await supabase
+    .from("billing_events")
+    .select("id, provider, payload")
+    .eq("status", "unmatched")
+    .gte("received_at", since)
+    .order("updated_at", { ascending: true })
+    .limit(UNMATCHED_RETRY_LIMIT);
+  if (error) throw new Error(error.message);
+
+  const counts = { retried: 0, rematched: 0 };
+  for (const row of rows || []) {
+    if (Date.now() >= deadline) break;
+    const replayed = await replayBillingEvent(supabase, row);
+    counts.retried += 1;
+    if (replayed.status === "applied") counts.rematched += 1;
+  }
+  return counts;
+}
+
+// Retries unmatched billing events, then checks profiles with a provider subscription
+// against the provider, least recently checked first, and writes the provider's state
+// wherever it drifted (a missed or failed webhook). Stops at the time budget; the next
+// run continues with the profiles not reached. Returns counts and the corrected mismatches.
+export async function reconcileBillingProfiles(supabase, { pageSize = RECONCILE_PAGE_SIZE, budgetMs = RECONCILE_BUDGET_MS } = {}) {
+  const startedAt = new Date().toISOString();
+  const deadline = Date.now() + budgetMs;
+  const result = { checked: 0, corrected: 0, missing: 0, failed: 0, complete: false, mismatches: [] };
+
+  const unmatched = await retryUnmatchedBillingEvents(supabase, deadline);
+  result.unmatched_retried = unmatched.retried;
+  result.rematched = unmatched.rematched;
+
+  while (Date.now() < deadline) {
+    const { data: profiles, error } = await supabase
+      .from("profiles")
+      .select("*")
+      .or("stripe_subscription_id.not.is.null,lemon_subscription_id.not.is.null")
+      .lt("billing_checked_at", startedAt)
+      .order("billing_checked_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(pageSize);
+    if (error) throw new Error(error.message);
+    if (!profiles?.length) {
+      result.complete = true;
+      break;
+    }
+
+    for (const profile of profiles) {
+      if (Date.now() >= deadline) break;
+      const provider = getProfileBillingProvider(profile);
+      try {
+        const state = await provider.fetchState(profile);
+        if (!state) {
+          result.missing += 1;
+        } else {
+          const changes = findBillingDrift(profile, state);
+          if (Object.keys(changes).length) {
+            await applyBillingState(supabase, profile.id, state);
+            result.corrected += 1;
+            result.mismatches.push({ user_id: profile.id, provider: provider.name, changes });
+          }
+        }
+      } catch (err) {
+        console.error(`Could not reconcile ${provider.name} billing for ${profile.id}:`, err.message);
+        result.failed += 1;
+      }
+      result.checked += 1;
+      await markBillingChecked(supabase, profile.id);
+    }
+  }
+
+  return result;
+}
+
+// Cancels live subscriptions with every provider (a user may have switched providers).
+export async function cancelSubscriptions(profile, email) {
+  const cancelled = [];
+  for (const provider of Object.values(PROVIDERS)) {
+    cancelled.push(...(await provider.cancel(profile, email)));
+  }
+  return cancelled;
+}
@@ -0,0 +1,139 @@
+// Candidate contact details stored on `profiles`, used for letter signatures and
+// export letterheads. Keys are the API/column names.
+export const CONTACT_FIELDS = {
+  full_name: 120,
+  contact_email: 160,
+  phone: 40,
+  location: 120,
+  linkedin_url: 200,
+  portfolio_url: 200,
+  sign_off: 40,
+};
+
+export const CONTACT_COLUMNS = Object.keys(CONTACT_FIELDS).join(", ");
+
+const DEFAULT_SIGN_OFF = "Sincerely";
+const PLACEHOLDER_PATTERN = /\[(your )?(full )?name\]/gi;
+// Known sign-offs of any length, including "With best regards," and "Thank you for your
+// time and consideration,".
+const CLOSING_LINE =
+  /^(?:(?:with\s+)?(?:(?:best|kind|kindest|warm|warmest|sincere)\s+)?(?:regards|wishes)|sincerely(?:\s+yours)?|yours\s+(?:truly|sincerely|faithfully)|respectfully(?:\s+yours)?|(?:all\s+the\s+)?best|cordially|(?:many\s+)?thanks|thank\s+you(?:\s+(?:again\s+)?for\s+your\s+(?:time|consideration)(?:\s+and\s+(?:time|consideration))?)?),?\s*$/i;
+// Any other short line ending in a comma near the end ("Warmly,", "Cheers,") is also a
+// closing; only the last few lines are searched so the greeting never counts.
+const MAX_CLOSING_WORDS = 4;
+const CLOSING_SEARCH_LINES = 4;
+
+function normalizeUrl(value) {
+  if (!value) return "";
+  return /^https?:\/\//i.test(value) ? value : `https://${value}`;
+}
+
+// Trims, length-caps and validates a partial contact update. Returns { contact, error }.
+export function sanitizeContact(input = {}) {
+  const contact = {};
+  for (const [field, max] of Object.entries(CONTACT_FIELDS)) {
+    if (!(field in input)) continue;
+    const value = String(input[field] ?? "").replace(/\s+/g, " ").trim();
+    if (value.length > max) {
+      return { contact: null, error: `${field} must be at most ${max} characters` };
+    }
+    contact[field] = value || null;
+  }
+  if (contact.contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.contact_email)) {
+    return { contact: null, error: "contact_email is not a valid email address" };
+  }
+  for (const field of ["linkedin_url", "portfolio_url"]) {
+    if (contact[field]) contact[field] = normalizeUrl(contact[field]);
+  }
+  return { contact, error: "" };
+}
+
+// Contact details from a structured resume (see resume-model.mjs), in profile column names.
+export function contactFromResume(resume) {
+  const found = {
+    full_name: resume?.contact?.full_name,
+    contact_email: resume?.contact?.email,
+    phone: resume?.contact?.phone,
+    location: resume?.contact?.location,
+  };
+  for (const link of resume?.links || []) {
+    if (/linkedin\.com\//i.test(link)) found.linkedin_url ||= link;
+    else found.portfolio_url ||= link;
+  }
+  for (const field of Object.keys(found)) {
+    if (!found[field]) delete found[field];
+  }
+  return sanitizeContact(found).contact || {};
+}
+
+export async function loadContact(supabase, userId) {
+  const { data } = await supabase.from("profiles").select(CONTACT_COLUMNS).eq("id", userId).maybeSingle();
+  return data || {};
+}
+
+// Fills only the contact fields the user has not set yet. Returns the merged contact.
+export async function prefillContactFromResume(supabase, userId, resume) {
+  const current = await loadContact(supabase, userId);
+  const found = contactFromResume(resume);
+  const updates = {};
+  for (const [field, value] of Object.entries(found)) {
+    if (value && !current[field]) updates[field] = value;
+  }
+  if (Object.keys(updates).length === 0) return current;
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", userId);
+  if (error) {
+    console.error("Error prefilling contact details:", error.message);
+    return current;
+  }
+  return { ...current, ...updates };
+}
+
+export function contactLine(contact = {}) {
+  return [contact.contact_email, contact.phone, contact.location, contact.linkedin_url, contact.portfolio_url]
+    .filter(Boolean)
+    .join(" | ");
+}
+
+// One-line candidate description for prompts; empty when nothing is known.
+export function describeCandidate(contact = {}) {
+  if (!contact.full_name) return "";
+  return `${contact.full_name}${contact.location ? ` (${contact.location})` : ""}`;
+}
+
+function isClosingLine(line) {
+  const trimmed = line.trim();
+  if (CLOSING_LINE.test(trimmed)) return true;
+  return trimmed.endsWith(",") && trimmed.split(/\s+/).length <= MAX_CLOSING_WORDS && !/^(dear|hi|hello)\b/i.test(trimmed);
+}
+
+function findClosingIndex(lines) {
+  const filled = lines.map((line, i) => (line.trim() ? i : -1)).filter((i) => i !== -1);
+  // The first line is the greeting, never the closing.
+  const tail = filled.slice(1).slice(-CLOSING_SEARCH_LINES);
+  for (let i = tail.length - 1; i >= 0; i -= 1) {
+    if (isClosingLine(lines[tail[i]])) return tail[i];
+  }
+  return -1;
+}
+
+// Replaces "[Your Name]" placeholders and makes the letter end with the candidate's
+// sign-off, name and contact line, replacing whatever closing the letter already had.
+// Letters are returned unchanged when no name is set.
+export function applySignature(text, contact = {}) {
+  const name = contact.full_name;
+  if (!name) return text;
+
+  const lines = String(text || "").replace(PLACEHOLDER_PATTERN, name).trimEnd().split("\n");
+  const closingIndex = findClosingIndex(lines);
+  const body = closingIndex === -1 ? lines : lines.slice(0, closingIndex);
+  while (body.length > 0 && !body[body.length - 1].trim()) body.pop();
+
+  const signOff = (contact.sign_off || (closingIndex === -1 ? DEFAULT_SIGN_OFF : lines[closingIndex].trim()))
+    .replace(/,\s*$/, "");
+  const signature = [`${signOff},`, name, contactLine(contact)].filter(Boolean);
+  return [...body, "", ...signature].join("\n");
+}
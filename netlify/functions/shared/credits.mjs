@@ -0,0 +1,36 @@
+// Purchased letter credits. Grants are stored once per provider payment reference, and
+// reserve_generation spends them through the usage ledger (funded_by = 'credits'), so a
+// refunded or expired reservation gives its credit back. A refunded or disputed payment
+// revokes its grant; letters already generated are not taken back.
+
+export async function grantCredits(supabase, userId, grant) {
+  const { error } = await supabase.from("credit_grants").upsert(
+    {
+      user_id: userId,
+      provider: grant.provider,
+      reference: String(grant.reference),
+      plan_id: grant.plan_id || null,
+      credits: grant.credits,
+    },
+    { onConflict: "provider,reference", ignoreDuplicates: true }
+  );
+  if (error) throw new Error(error.message);
+}
+
+export async function getCreditBalance(supabase, userId) {
+  const { data, error } = await supabase.rpc("credit_balance", { p_user_id: userId });
+  if (error) {
+    console.error("Error reading credit balance:", error.message);
+    return 0;
+  }
+  return Number(data) || 0;
+}
+
+export async function setCreditGrantRevoked(supabase, { provider, reference, revoked }) {
+  const { error } = await supabase
+    .from("credit_grants")
+    .update({ revoked_at: revoked ? new Date().toISOString() : null })
+    .eq("provider", provider)
+    .eq("reference", String(reference));
+  if (error) throw new Error(error.message);
+}
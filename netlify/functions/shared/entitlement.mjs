@@ -0,0 +1,75 @@
+import { getEnv } from "./env.mjs";
+
+// Subscription entitlement, shared by every endpoint that gates on Pro access. Billing
+// providers (see billing.mjs) normalize their statuses to SUBSCRIPTION_STATUSES before
+// anything is stored, so this is the only place that decides what a status grants.
+
+export const SUBSCRIPTION_STATUSES = [
+  "none",
+  "active",
+  "trialing",
+  "past_due",
+  "unpaid",
+  "paused",
+  "incomplete",
+  "canceled",
+  "expired",
+];
+
+const ENTITLED_STATUSES = new Set(["active", "trialing"]);
+const DEFAULT_GRACE_DAYS = 3;
+
+// Why access was taken away despite the subscription status (see access_revoked_reason).
+export const REVOCATION_REASONS = ["refund", "dispute"];
+
+// Provider spellings that differ from ours (Lemon Squeezy's "on_trial" and "cancelled",
+// Stripe's "incomplete_expired").
+const STATUS_ALIASES = {
+  on_trial: "trialing",
+  cancelled: "canceled",
+  incomplete_expired: "expired",
+};
+
+// Profile columns computeEntitlement reads; select these wherever access is checked.
+export const ENTITLEMENT_COLUMNS =
+  "is_pro, subscription_status, current_period_end, cancel_at_period_end, billing_provider, past_due_since, access_revoked_reason";
+
+export function normalizeSubscriptionStatus(status) {
+  const raw = String(status || "").trim().toLowerCase();
+  const normalized = STATUS_ALIASES[raw] || raw;
+  return SUBSCRIPTION_STATUSES.includes(normalized) ? normalized : "none";
+}
+
+// Days a past_due subscription keeps Pro while the provider retries the payment
+// (PAST_DUE_GRACE_DAYS, default 3; 0 revokes access at the first failed payment).
+export function getPastDueGraceDays() {
+  const days = parseInt(getEnv("PAST_DUE_GRACE_DAYS", String(DEFAULT_GRACE_DAYS)), 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+// { isPro, status, provider, currentPeriodEnd, cancelAtPeriodEnd, graceEndsAt, revokedReason }
+// for a profile row (or a normalized billing state using the same column names). Access
+// follows the status, plus the past_due grace period counted from `past_due_since`, unless
+// a refund or dispute revoked it. The stored `is_pro` column is written from this result
+// and never read back, since the grace period runs out without any write.
+export function computeEntitlement(profile, now = Date.now()) {
+  const status = normalizeSubscriptionStatus(profile?.subscription_status);
+  const revokedReason = REVOCATION_REASONS.includes(profile?.access_revoked_reason) ? profile.access_revoked_reason : null;
+
+  let graceEndsAt = null;
+  const pastDueSince = Date.parse(profile?.past_due_since || "");
+  if (status === "past_due" && Number.isFinite(pastDueSince)) {
+    graceEndsAt = new Date(pastDueSince + getPastDueGraceDays() * 24 * 60 * 60 * 1000).toISOString();
+  }
+  const inGrace = graceEndsAt !== null && Date.parse(graceEndsAt) > now;
+
+  return {
+    isPro: !revokedReason && (ENTITLED_STATUSES.has(status) || inGrace),
+    status,
+    provider: profile?.billing_provider || null,
+    currentPeriodEnd: profile?.current_period_end || null,
+    cancelAtPeriodEnd: profile?.cancel_at_period_end === true,
+    graceEndsAt: inGrace ? graceEndsAt : null,
+    revokedReason,
+  };
+}
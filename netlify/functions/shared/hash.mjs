@@ -0,0 +1,10 @@
+export function computeHash(text) {
+  // Simple hash using Web Crypto-compatible approach
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return "h" + Math.abs(hash).toString(36) + "_" + text.length;
+}
@@ -2,7 +2,7 @@ const DEFAULT_HEADERS = {
   "Content-Type": "application/json",
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "Authorization, Content-Type, stripe-signature",
-  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+  "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
 };
 
 export function jsonResponse(status, payload, extraHeaders = {}) {
@@ -18,3 +18,74 @@ export function optionsResponse() {
     headers: DEFAULT_HEADERS,
   });
 }
+
+export function eventStreamResponse(producer, extraHeaders = {}) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, payload) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`));
+      };
+      try {
+        await producer(send);
+      } catch (err) {
+        send("error", { error: err?.message || "Stream failed" });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...DEFAULT_HEADERS,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      ...extraHeaders,
+    },
+  });
+}
+
+// Binary download (e.g. an exported letter) with CORS headers and an attachment filename.
+export function fileResponse(body, { contentType, filename }) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...DEFAULT_HEADERS,
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${String(filename).replace(/[^\w.-]+/g, "-")}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+// Reads an upstream `text/event-stream` body and calls onEvent({ event, data }) per message.
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const flush = (block) => {
+    let event = "message";
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (dataLines.length > 0) onEvent({ event, data: dataLines.join("\n") });
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+  if (buffer.trim()) flush(buffer);
+}
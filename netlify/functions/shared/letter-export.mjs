@@ -0,0 +1,298 @@
+import { AlignmentType, BorderStyle, Document, Packer, Paragraph, TextRun } from "docx";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+
+// Letterhead templates shared by the DOCX and PDF renderers.
+export const TEMPLATES = {
+  classic: {
+    label: "Classic",
+    docxFont: "Times New Roman",
+    pdfFont: StandardFonts.TimesRoman,
+    pdfBoldFont: StandardFonts.TimesRomanBold,
+    headerAlign: "left",
+    nameSize: 18,
+    bodySize: 11.5,
+    accent: null,
+    rule: true,
+  },
+  modern: {
+    label: "Modern",
+    docxFont: "Calibri",
+    pdfFont: StandardFonts.Helvetica,
+    pdfBoldFont: StandardFonts.HelveticaBold,
+    headerAlign: "left",
+    nameSize: 22,
+    bodySize: 10.5,
+    accent: [0.31, 0.27, 0.9],
+    rule: false,
+  },
+  minimal: {
+    label: "Minimal",
+    docxFont: "Arial",
+    pdfFont: StandardFonts.Helvetica,
+    pdfBoldFont: StandardFonts.HelveticaBold,
+    headerAlign: "center",
+    nameSize: 16,
+    bodySize: 10.5,
+    accent: null,
+    rule: false,
+  },
+};
+
+export const DEFAULT_TEMPLATE = "classic";
+
+const CLOSING_PATTERN = /^(sincerely|best regards|kind regards|regards|best|thank you|warm regards|respectfully|yours (truly|sincerely)),?$/i;
+const PLACEHOLDER_NAME = /^\[your name\]$/i;
+
+function clean(value, max = 200) {
+  return String(value || "").replace(/\s+/g, " ").trim().slice(0, max);
+}
+
+// Splits a generated letter into greeting, body paragraphs, closing and signature.
+export function parseLetter(text) {
+  const paragraphs = String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  let greeting = "";
+  if (paragraphs.length > 0 && /^(dear|hello|hi|to whom)\b/i.test(paragraphs[0].split("\n")[0])) {
+    const [first, ...rest] = paragraphs[0].split("\n");
+    greeting = first.trim();
+    if (rest.join("\n").trim()) paragraphs[0] = rest.join("\n").trim();
+    else paragraphs.shift();
+  }
+
+  let closing = "";
+  let signature = "";
+  const last = paragraphs[paragraphs.length - 1] || "";
+  const lastLines = last.split("\n").map((l) => l.trim()).filter(Boolean);
+  const closingIndex = lastLines.findIndex((line) => CLOSING_PATTERN.test(line));
+  if (closingIndex !== -1) {
+    closing = lastLines[closingIndex];
+    // Lines after the name (a contact line from applySignature) move to the letterhead.
+    signature = lastLines[closingIndex + 1] || "";
+    const before = lastLines.slice(0, closingIndex).join("\n");
+    if (before) paragraphs[paragraphs.length - 1] = before;
+    else paragraphs.pop();
+  } else if (paragraphs.length > 1 && CLOSING_PATTERN.test((paragraphs[paragraphs.length - 2] || "").trim())) {
+    closing = paragraphs[paragraphs.length - 2].trim();
+    signature = last.split("\n")[0].trim();
+    paragraphs.splice(paragraphs.length - 2, 2);
+  }
+
+  return {
+    greeting,
+    paragraphs: paragraphs.map((p) => p.replace(/\s*\n\s*/g, " ")),
+    closing: closing || "Sincerely,",
+    signature: PLACEHOLDER_NAME.test(signature) ? "" : signature,
+  };
+}
+
+// Normalized layout: sender header, date, recipient block and the parsed letter.
+export function buildLayout({ text, sender = {}, recipient = {}, date }) {
+  const letter = parseLetter(text);
+  const senderName = clean(sender.name, 120) || letter.signature;
+  const contactLine = [sender.email, sender.phone, sender.location]
+    .map((v) => clean(v, 120))
+    .filter(Boolean)
+    .join("  |  ");
+  const links = (Array.isArray(sender.links) ? sender.links : [sender.links])
+    .map((v) => clean(v, 200))
+    .filter(Boolean)
+    .slice(0, 3);
+
+  const recipientLines = [
+    clean(recipient.name, 120) || "Hiring Manager",
+    clean(recipient.company, 120),
+    ...String(recipient.address || "")
+      .split("\n")
+      .map((line) => clean(line, 120))
+      .filter(Boolean)
+      .slice(0, 3),
+  ].filter(Boolean);
+
+  const parsedDate = date ? new Date(date) : new Date();
+  const dateLine = (Number.isNaN(parsedDate.getTime()) ? new Date() : parsedDate).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  return {
+    senderName,
+    contactLine,
+    links,
+    dateLine,
+    recipientLines,
+    greeting: letter.greeting || `Dear ${clean(recipient.name, 120) || "Hiring Manager"},`,
+    paragraphs: letter.paragraphs,
+    closing: letter.closing,
+    signature: senderName || letter.signature,
+  };
+}
+
+function toHex([r, g, b]) {
+  return [r, g, b].map((c) => Math.round(c * 255).toString(16).padStart(2, "0")).join("");
+}
+
+export async function renderDocx(layout, templateKey = DEFAULT_TEMPLATE) {
+  const template = TEMPLATES[templateKey] || TEMPLATES[DEFAULT_TEMPLATE];
+  const size = Math.round(template.bodySize * 2);
+  const align = template.headerAlign === "center" ? AlignmentType.CENTER : AlignmentType.LEFT;
+  const accentColor = template.accent ? toHex(template.accent) : undefined;
+  const run = (text, extra = {}) => new TextRun({ text, font: template.docxFont, size, ...extra });
+  const spaced = (children, after = 200, extra = {}) => new Paragraph({ children, spacing: { after }, ...extra });
+
+  const header = [];
+  if (layout.senderName) {
+    header.push(
+      new Paragraph({
+        alignment: align,
+        children: [run(layout.senderName, { bold: true, size: template.nameSize * 2, color: accentColor })],
+      })
+    );
+  }
+  const contact = [layout.contactLine, ...layout.links].filter(Boolean);
+  contact.forEach((line, i) => {
+    const isLast = i === contact.length - 1;
+    header.push(
+      new Paragraph({
+        alignment: align,
+        children: [run(line, { size: size - 2, color: "555555" })],
+        ...(isLast && template.rule
+          ? { border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: "999999", space: 6 } } }
+          : {}),
+      })
+    );
+  });
+
+  const body = [
+    spaced([run(layout.dateLine)], 240, { spacing: { before: 360, after: 240 } }),
+    ...layout.recipientLines.map((line, i) =>
+      spaced([run(line)], i === layout.recipientLines.length - 1 ? 240 : 0)
+    ),
+    spaced([run(layout.greeting)]),
+    ...layout.paragraphs.map((p) => spaced([run(p)], 200, { alignment: AlignmentType.JUSTIFIED })),
+    spaced([run(layout.closing)], layout.signature ? 480 : 200),
+    ...(layout.signature ? [spaced([run(layout.signature, { bold: true })], 0)] : []),
+  ];
+
+  const doc = new Document({
+    creator: "CoverCraft",
+    title: "Cover letter",
+    sections: [
+      {
+        properties: { page: { margin: { top: 1080, bottom: 1080, left: 1200, right: 1200 } } },
+        children: [...header, ...body],
+      },
+    ],
+  });
+  return Packer.toBuffer(doc);
+}
+
+// Letters with no decomposition into a base letter plus accents.
+const TRANSLITERATIONS = { Ł: "L", ł: "l", Đ: "D", đ: "d", Ø: "O", ø: "o", Ħ: "H", ħ: "h", ı: "i" };
+
+// Standard PDF fonts only cover WinAnsi; anything else is replaced instead of throwing.
+// Accented letters outside it keep their base letter ("Nguyễn" -> "Nguyen"), so names
+// stay readable; only characters with no Latin equivalent become "?".
+function encodable(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text || ""))
+    .map((ch) => {
+      if (supported.has(ch.codePointAt(0))) return ch;
+      if (/[‘’]/.test(ch)) return "'";
+      if (/[“”]/.test(ch)) return '"';
+      if (/[–—]/.test(ch)) return "-";
+      const base = TRANSLITERATIONS[ch] || ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+      if (base && Array.from(base).every((c) => supported.has(c.codePointAt(0)))) return base;
+      return "?";
+    })
+    .join("");
+}
+
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+export async function renderPdf(layout, templateKey = DEFAULT_TEMPLATE) {
+  const template = TEMPLATES[templateKey] || TEMPLATES[DEFAULT_TEMPLATE];
+  const pdf = await PDFDocument.create();
+  pdf.setTitle("Cover letter");
+  pdf.setCreator("CoverCraft");
+  const font = await pdf.embedFont(template.pdfFont);
+  const bold = await pdf.embedFont(template.pdfBoldFont);
+
+  const pageSize = [612, 792];
+  const margin = 72;
+  const width = pageSize[0] - margin * 2;
+  const lineHeight = template.bodySize * 1.45;
+  const muted = rgb(0.33, 0.33, 0.33);
+  const accent = template.accent ? rgb(...template.accent) : rgb(0, 0, 0);
+
+  let page = pdf.addPage(pageSize);
+  let y = pageSize[1] - margin;
+
+  const ensureSpace = (needed) => {
+    if (y - needed < margin) {
+      page = pdf.addPage(pageSize);
+      y = pageSize[1] - margin;
+    }
+  };
+  const drawLine = (text, { useFont = font, size = template.bodySize, color = rgb(0, 0, 0), align = "left" } = {}) => {
+    const safe = encodable(useFont, text);
+    const textWidth = useFont.widthOfTextAtSize(safe, size);
+    const x = align === "center" ? margin + (width - textWidth) / 2 : margin;
+    ensureSpace(size * 1.45);
+    page.drawText(safe, { x, y: y - size, size, font: useFont, color });
+    y -= size * 1.45;
+  };
+  const drawParagraph = (text, gapAfter = lineHeight * 0.6) => {
+    for (const line of wrapText(encodable(font, text), font, template.bodySize, width)) {
+      drawLine(line);
+    }
+    y -= gapAfter;
+  };
+
+  if (template.accent) {
+    page.drawRectangle({ x: 0, y: pageSize[1] - 12, width: pageSize[0], height: 12, color: accent });
+  }
+  if (layout.senderName) {
+    drawLine(layout.senderName, { useFont: bold, size: template.nameSize, color: accent, align: template.headerAlign });
+  }
+  for (const line of [layout.contactLine, ...layout.links].filter(Boolean)) {
+    drawLine(line, { size: template.bodySize - 1, color: muted, align: template.headerAlign });
+  }
+  if (template.rule) {
+    y -= 4;
+    page.drawLine({ start: { x: margin, y }, end: { x: margin + width, y }, thickness: 0.75, color: muted });
+  }
+  y -= lineHeight * 1.5;
+
+  drawParagraph(layout.dateLine);
+  layout.recipientLines.forEach((line) => drawLine(line));
+  y -= lineHeight * 0.6;
+  drawParagraph(layout.greeting);
+  layout.paragraphs.forEach((p) => drawParagraph(p));
+  drawLine(layout.closing);
+  if (layout.signature) {
+    y -= lineHeight * 1.5;
+    drawLine(layout.signature, { useFont: bold });
+  }
+
+  // Classic xref tables keep the file readable by older PDF viewers and parsers.
+  return pdf.save({ useObjectStreams: false });
+}
@@ -0,0 +1,28 @@
+import { computeHash } from "./hash.mjs";
+
+const MAX_JOB_SNAPSHOT_CHARS = 8000;
+
+// Locked letters store only the teaser in `text` and keep the full resume so the
+// letter can be completed after checkout (see unlock-letter.mjs).
+export async function saveLetter(supabase, { userId, jobDescription, resume, tone, model, text, parentId = null, locked = false }) {
+  const { data, error } = await supabase
+    .from("letters")
+    .insert({
+      user_id: userId,
+      parent_id: parentId,
+      job_description: jobDescription ? String(jobDescription).slice(0, MAX_JOB_SNAPSHOT_CHARS) : null,
+      resume_hash: resume ? computeHash(String(resume)) : null,
+      tone: tone || null,
+      model: model || null,
+      text,
+      locked,
+      resume_text: locked && resume ? String(resume) : null,
+    })
+    .select("id")
+    .single();
+  if (error) {
+    console.error("Error saving letter:", error.message);
+    return null;
+  }
+  return data?.id || null;
+}
@@ -0,0 +1,298 @@
+import { completeWithFallback } from "./providers.mjs";
+
+// Keyword vocabulary for the deterministic matcher. Each entry is the display name
+// followed by the spellings that count as a mention.
+const TOOLS = [
+  ["JavaScript", "javascript", "js", "es6"],
+  ["TypeScript", "typescript"],
+  ["Python", "python"],
+  ["Java", "java"],
+  ["C#", "c#", ".net", "dotnet"],
+  ["C++", "c++"],
+  ["Go", "golang"],
+  ["Ruby", "ruby", "rails", "ruby on rails"],
+  ["PHP", "php", "laravel"],
+  ["Swift", "swift"],
+  ["Kotlin", "kotlin"],
+  ["SQL", "sql", "postgres", "postgresql", "mysql", "sql server"],
+  ["NoSQL", "nosql", "mongodb", "dynamodb", "cassandra"],
+  ["React", "react", "react.js", "reactjs"],
+  ["Angular", "angular"],
+  ["Vue", "vue", "vue.js"],
+  ["Node.js", "node.js", "nodejs", "node"],
+  ["HTML/CSS", "html", "css", "sass"],
+  ["GraphQL", "graphql"],
+  ["REST APIs", "restful", "rest api", "rest apis"],
+  ["AWS", "aws", "amazon web services"],
+  ["Azure", "azure"],
+  ["GCP", "gcp", "google cloud"],
+  ["Docker", "docker"],
+  ["Kubernetes", "kubernetes", "k8s"],
+  ["Terraform", "terraform"],
+  ["CI/CD", "ci/cd", "jenkins", "github actions", "gitlab ci"],
+  ["Git", "git", "github", "gitlab"],
+  ["Linux", "linux", "unix"],
+  ["Excel", "excel", "spreadsheets"],
+  ["Tableau", "tableau"],
+  ["Power BI", "power bi", "powerbi"],
+  ["Looker", "looker"],
+  ["Salesforce", "salesforce"],
+  ["HubSpot", "hubspot"],
+  ["SAP", "sap"],
+  ["Jira", "jira"],
+  ["Confluence", "confluence"],
+  ["Figma", "figma"],
+  ["Adobe Creative Suite", "photoshop", "illustrator", "indesign", "adobe creative suite"],
+  ["Google Analytics", "google analytics", "ga4"],
+  ["Spark", "spark", "pyspark"],
+  ["Snowflake", "snowflake"],
+  ["Machine learning", "machine learning", "ml", "tensorflow", "pytorch", "scikit-learn"],
+  ["QuickBooks", "quickbooks"],
+];
+
+const SKILLS = [
+  ["Project management", "project management", "managing projects"],
+  ["Stakeholder management", "stakeholder management", "stakeholders"],
+  ["Leadership", "leadership", "led a team", "team lead", "leading teams"],
+  ["People management", "people management", "direct reports", "managed a team", "mentoring", "mentored"],
+  ["Communication", "communication", "communicator"],
+  ["Data analysis", "data analysis", "analytics", "analyzing data", "data-driven"],
+  ["Product management", "product management", "product roadmap", "roadmap"],
+  ["Agile", "agile", "scrum", "kanban"],
+  ["Customer service", "customer service", "customer support", "customer success"],
+  ["Sales", "sales", "business development", "quota"],
+  ["Marketing", "marketing", "campaigns", "seo", "sem"],
+  ["Budgeting", "budgeting", "budget", "forecasting", "p&l"],
+  ["Negotiation", "negotiation", "negotiating"],
+  ["Problem solving", "problem solving", "problem-solving", "troubleshooting"],
+  ["Cross-functional collaboration", "cross-functional", "cross functional", "collaboration"],
+  ["Testing", "testing", "qa", "quality assurance", "unit tests", "test automation"],
+  ["System design", "system design", "architecture", "distributed systems", "scalability"],
+  ["Security", "security", "cybersecurity", "compliance"],
+  ["UX design", "ux", "user experience", "user research", "wireframes"],
+  ["Copywriting", "copywriting", "content writing", "editing"],
+  ["Financial analysis", "financial analysis", "financial modeling", "accounting"],
+  ["Operations", "operations", "process improvement", "logistics", "supply chain"],
+  ["Training", "training", "onboarding", "coaching"],
+  ["Presentation", "presentation", "presenting", "public speaking"],
+];
+
+const CERTIFICATIONS = [
+  ["PMP", "pmp", "project management professional"],
+  ["Scrum certification", "csm", "certified scrummaster", "certified scrum master", "psm"],
+  ["AWS certification", "aws certified", "aws certification"],
+  ["Azure certification", "azure certified", "az-900", "az-104"],
+  ["Google Cloud certification", "google cloud certified", "professional cloud architect"],
+  ["CISSP", "cissp"],
+  ["Security+", "security+", "comptia security+"],
+  ["CPA", "cpa", "certified public accountant"],
+  ["CFA", "cfa"],
+  ["Six Sigma", "six sigma", "lean six sigma"],
+  ["ITIL", "itil"],
+  ["SHRM", "shrm-cp", "shrm-scp", "shrm"],
+  ["RN license", "registered nurse", "rn license"],
+];
+
+const SENIORITY_LEVELS = [
+  { level: "executive", rank: 6, pattern: /\b(vp|vice president|chief|head of|cto|ceo|cfo|coo)\b/ },
+  { level: "director", rank: 5, pattern: /\bdirector\b/ },
+  { level: "principal", rank: 4, pattern: /\b(principal|staff|architect)\b/ },
+  { level: "lead", rank: 4, pattern: /\b(lead|manager|supervisor)\b/ },
+  { level: "senior", rank: 3, pattern: /\b(senior|sr\.?)\b/ },
+  { level: "mid", rank: 2, pattern: /\b(mid-level|mid level|intermediate)\b/ },
+  { level: "junior", rank: 1, pattern: /\b(junior|jr\.?|entry[- ]level|graduate|intern|associate)\b/ },
+];
+
+// Share of the score each category carries when the job description mentions it.
+const CATEGORY_WEIGHTS = { tools: 0.4, skills: 0.35, certifications: 0.15, seniority: 0.1 };
+const MAX_AI_KEYWORDS = 12;
+
+function normalize(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9+#./&-]+/g, " ")} `;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function mentions(normalizedText, term) {
+  const pattern = new RegExp(`(^|[^a-z0-9+#.])${escapeRegExp(term.toLowerCase())}(?=$|[^a-z0-9+#])`);
+  return pattern.test(normalizedText);
+}
+
+function findTerms(normalizedText, vocabulary) {
+  return vocabulary
+    .filter(([, ...aliases]) => aliases.some((alias) => mentions(normalizedText, alias)))
+    .map(([name]) => name);
+}
+
+function detectSeniority(text) {
+  const lowered = String(text || "").toLowerCase();
+  const yearMatches = [...lowered.matchAll(/(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?/g)].map((m) => Number(m[1]));
+  const years = yearMatches.length > 0 ? Math.max(...yearMatches.filter((n) => n <= 40), 0) || null : null;
+  const found = SENIORITY_LEVELS.find((entry) => entry.pattern.test(lowered));
+  return { level: found?.level || null, rank: found?.rank || null, years };
+}
+
+// Skills, tools, certifications and seniority signals mentioned in `text`.
+export function extractKeywords(text) {
+  const normalizedText = normalize(text);
+  return {
+    skills: findTerms(normalizedText, SKILLS),
+    tools: findTerms(normalizedText, TOOLS),
+    certifications: findTerms(normalizedText, CERTIFICATIONS),
+    seniority: detectSeniority(text),
+  };
+}
+
+function compareSeniority(job, resume) {
+  if (!job.level && !job.years) return null;
+  const rankGap = job.rank && resume.rank ? resume.rank - job.rank : 0;
+  const yearsGap = job.years && resume.years ? resume.years - job.years : 0;
+  return {
+    job: { level: job.level, years: job.years },
+    resume: { level: resume.level, years: resume.years },
+    aligned: rankGap >= -1 && yearsGap >= -1,
+  };
+}
+
+// Weighted coverage (0-100) over the categories the job description mentions, or null when
+// it mentions none.
+function scoreCoverage(matched, missing, seniority) {
+  let weightedScore = 0;
+  let totalWeight = 0;
+  for (const category of ["tools", "skills", "certifications"]) {
+    const total = matched[category].length + missing[category].length;
+    if (total > 0) {
+      totalWeight += CATEGORY_WEIGHTS[category];
+      weightedScore += CATEGORY_WEIGHTS[category] * (matched[category].length / total);
+    }
+  }
+  if (seniority) {
+    totalWeight += CATEGORY_WEIGHTS.seniority;
+    weightedScore += seniority.aligned ? CATEGORY_WEIGHTS.seniority : 0;
+  }
+  return totalWeight > 0 ? Math.round((weightedScore / totalWeight) * 100) : null;
+}
+
+function buildSuggestions({ missing, seniority, score }) {
+  if (score === null) {
+    return [
+      "We couldn't recognise specific requirements in this job description. Paste the full posting, including its requirements, for a detailed match.",
+    ];
+  }
+  const suggestions = [];
+  if (missing.tools.length > 0) {
+    suggestions.push(
+      `If you have used ${missing.tools.slice(0, 3).join(", ")}, name them explicitly in your resume and letter.`
+    );
+  }
+  if (missing.skills.length > 0) {
+    suggestions.push(
+      `Show ${missing.skills.slice(0, 2).join(" and ").toLowerCase()} with a concrete example and a result.`
+    );
+  }
+  if (missing.certifications.length > 0) {
+    suggestions.push(
+      `The posting mentions ${missing.certifications.join(", ")}. List it if you hold it, or note progress toward it.`
+    );
+  }
+  if (seniority && !seniority.aligned) {
+    const target = seniority.job.years ? `${seniority.job.years}+ years` : `${seniority.job.level}-level`;
+    suggestions.push(`The role asks for ${target} experience. Lead with your most senior scope and outcomes.`);
+  }
+  if (suggestions.length === 0) {
+    suggestions.push("Strong keyword overlap. Focus the letter on measurable impact rather than listing skills.");
+  }
+  return suggestions;
+}
+
+// Deterministic coverage report: what the job asks for vs. what the resume mentions.
+export function buildMatchReport(jobDescription, resume) {
+  const job = extractKeywords(jobDescription);
+  const candidate = extractKeywords(resume);
+  const matched = {};
+  const missing = {};
+
+  for (const category of ["tools", "skills", "certifications"]) {
+    const have = new Set(candidate[category]);
+    matched[category] = job[category].filter((term) => have.has(term));
+    missing[category] = job[category].filter((term) => !have.has(term));
+  }
+
+  const seniority = compareSeniority(job.seniority, candidate.seniority);
+  const score = scoreCoverage(matched, missing, seniority);
+  return {
+    score,
+    matched,
+    missing,
+    seniority,
+    suggestions: buildSuggestions({ missing, seniority, score }),
+    source: "keywords",
+  };
+}
+
+function buildKeywordPrompt(jobDescription) {
+  return `Extract the hard requirements from this job description.
+
+Return ONLY JSON in exactly this shape, with at most ${MAX_AI_KEYWORDS} short items per list:
+{"skills": [], "tools": [], "certifications": []}
+
+Job description:
+${jobDescription}`;
+}
+
+function parseKeywordJson(text) {
+  const match = String(text || "").match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const data = JSON.parse(match[0]);
+    const clean = (list) =>
+      (Array.isArray(list) ? list : [])
+        .map((item) => String(item || "").trim())
+        .filter((item) => item.length > 1 && item.length <= 40)
+        .slice(0, MAX_AI_KEYWORDS);
+    return { skills: clean(data.skills), tools: clean(data.tools), certifications: clean(data.certifications) };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Adds requirements the vocabulary does not know about, extracted by an AI provider.
+// Resume coverage is still checked deterministically, and any provider failure returns
+// the keyword report unchanged.
+export async function enhanceMatchReport(report, jobDescription, resume) {
+  const result = await completeWithFallback({
+    prompt: buildKeywordPrompt(jobDescription),
+    temperature: 0,
+    maxTokens: 300,
+    tier: "preview",
+  });
+  const extracted = result.text ? parseKeywordJson(result.text) : null;
+  if (!extracted) return report;
+
+  const resumeText = normalize(resume);
+  const enhanced = {
+    ...report,
+    matched: { ...report.matched },
+    missing: { ...report.missing },
+    source: "keywords+ai",
+  };
+  let added = 0;
+  for (const category of ["tools", "skills", "certifications"]) {
+    const known = new Set([...report.matched[category], ...report.missing[category]].map((t) => t.toLowerCase()));
+    for (const term of extracted[category]) {
+      if (known.has(term.toLowerCase())) continue;
+      known.add(term.toLowerCase());
+      added += 1;
+      if (mentions(resumeText, term)) enhanced.matched[category] = [...enhanced.matched[category], term];
+      else enhanced.missing[category] = [...enhanced.missing[category], term];
+    }
+  }
+  if (added === 0) return { ...report, source: "keywords+ai" };
+
+  // Same category weights as the keyword report, so the two scores are comparable.
+  enhanced.score = scoreCoverage(enhanced.matched, enhanced.missing, report.seniority);
+  enhanced.suggestions = buildSuggestions({ missing: enhanced.missing, seniority: report.seniority, score: enhanced.score });
+  return enhanced;
+}
@@ -0,0 +1,75 @@
+import * as mupdf from "mupdf";
+import { createWorker } from "tesseract.js";
+import eng from "@tesseract.js-data/eng";
+import { getEnv } from "./env.mjs";
+
+// OCR fallback for image-only PDFs (scans, design-tool exports with outlined text).
+// Pages are rasterized with MuPDF (WASM) and read by tesseract.js using the language
+// data shipped in @tesseract.js-data/eng, so nothing is fetched over the network.
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_LOW_CONFIDENCE = 70;
+// 150 DPI keeps body text legible for tesseract while bounding memory per page.
+const RENDER_SCALE = 150 / 72;
+
+function readNumber(name, fallback) {
+  const value = Number(getEnv(name));
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function getLowConfidenceThreshold() {
+  return readNumber("OCR_LOW_CONFIDENCE", DEFAULT_LOW_CONFIDENCE);
+}
+
+function renderPages(buffer, maxPages) {
+  const doc = mupdf.Document.openDocument(buffer, "application/pdf");
+  try {
+    const images = [];
+    const pageCount = Math.min(doc.countPages(), maxPages);
+    for (let i = 0; i < pageCount; i++) {
+      const page = doc.loadPage(i);
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(RENDER_SCALE, RENDER_SCALE), mupdf.ColorSpace.DeviceGray, false, true);
+      images.push(Buffer.from(pixmap.asPNG()));
+      pixmap.destroy();
+      page.destroy();
+    }
+    return images;
+  } finally {
+    doc.destroy();
+  }
+}
+
+// Returns { text, confidence, pages, lowConfidence }. Confidence is tesseract's 0-100
+// page score averaged by the amount of text on each page. Throws when the PDF can't be
+// rendered or the OCR engine fails to start.
+export async function ocrPdf(buffer) {
+  const maxPages = readNumber("OCR_MAX_PAGES", DEFAULT_MAX_PAGES);
+  const images = renderPages(buffer, maxPages);
+
+  const worker = await createWorker(eng.code, 1, {
+    langPath: eng.langPath,
+    gzip: eng.gzip,
+    cacheMethod: "none",
+  });
+  try {
+    const pages = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      pages.push({ text: (data.text || "").trim(), confidence: Number(data.confidence) || 0 });
+    }
+
+    const text = pages.map((p) => p.text).filter(Boolean).join("\n\n");
+    const weight = pages.reduce((sum, p) => sum + p.text.length, 0);
+    const confidence = weight
+      ? Math.round(pages.reduce((sum, p) => sum + p.confidence * p.text.length, 0) / weight)
+      : 0;
+
+    return {
+      text,
+      confidence,
+      pages: pages.length,
+      lowConfidence: confidence < getLowConfidenceThreshold(),
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
@@ -0,0 +1,86 @@
+import { getEnv } from "./env.mjs";
+
+// Plans sold at checkout. Each provider sells a plan when its env var is set: a Stripe
+// price id (STRIPE_PRICE_ID_*) or a Lemon Squeezy checkout URL (LEMON_CHECKOUT_URL_*).
+// Subscriptions grant Pro; a credit pack is a one-time payment that adds letters to the
+// user's credit balance.
+export const PLANS = [
+  {
+    id: "monthly",
+    kind: "subscription",
+    interval: "month",
+    name: "Monthly",
+    stripePriceEnv: "STRIPE_PRICE_ID",
+    lemonUrlEnv: "LEMON_CHECKOUT_URL",
+  },
+  {
+    id: "annual",
+    kind: "subscription",
+    interval: "year",
+    name: "Annual",
+    stripePriceEnv: "STRIPE_PRICE_ID_ANNUAL",
+    lemonUrlEnv: "LEMON_CHECKOUT_URL_ANNUAL",
+  },
+  {
+    id: "credits",
+    kind: "credits",
+    interval: null,
+    name: "Letter pack",
+    stripePriceEnv: "STRIPE_PRICE_ID_CREDITS",
+    lemonUrlEnv: "LEMON_CHECKOUT_URL_CREDITS",
+  },
+];
+
+export const DEFAULT_PLAN_ID = "monthly";
+
+const DEFAULT_CREDIT_PACK_SIZE = 10;
+
+export function getPlan(id) {
+  const key = String(id || DEFAULT_PLAN_ID).trim().toLowerCase();
+  return PLANS.find((plan) => plan.id === key) || null;
+}
+
+// Letters granted by one credit pack (CREDIT_PACK_SIZE, default 10).
+export function getCreditPackSize() {
+  const size = parseInt(getEnv("CREDIT_PACK_SIZE", String(DEFAULT_CREDIT_PACK_SIZE)), 10);
+  return Number.isFinite(size) && size > 0 ? size : DEFAULT_CREDIT_PACK_SIZE;
+}
+
+// Free trial length for new subscribers (TRIAL_DAYS, default 0 = no trial). Stripe applies
+// it at checkout; Lemon Squeezy trials are set on the variant, so there it only labels plans.
+export function getTrialDays() {
+  const days = parseInt(getEnv("TRIAL_DAYS", "0"), 10);
+  return Number.isFinite(days) && days > 0 ? Math.min(days, 730) : 0;
+}
+
+// Trials are for accounts that have never subscribed with either provider.
+export function isTrialEligible(profile) {
+  if (profile?.stripe_subscription_id || profile?.lemon_subscription_id) return false;
+  return String(profile?.subscription_status || "none").toLowerCase() === "none";
+}
+
+// Whether checkout shows a promotion code field (CHECKOUT_ALLOW_PROMOTION_CODES, default on).
+export function promotionCodesAllowed() {
+  return getEnv("CHECKOUT_ALLOW_PROMOTION_CODES", "true").toLowerCase() !== "false";
+}
+
+// Campaign code from a `?promo=` landing URL, or null when it isn't a plausible code.
+export function normalizePromoCode(value) {
+  const code = String(value || "").trim();
+  return /^[A-Za-z0-9_-]{1,64}$/.test(code) ? code : null;
+}
+
+// Display price override, e.g. PLAN_ANNUAL_PRICE="$79". Needed for Lemon Squeezy, whose
+// checkout URLs don't say what they charge; Stripe prices are looked up instead.
+export function getPlanPriceOverride(plan) {
+  return getEnv(`PLAN_${plan.id.toUpperCase()}_PRICE`) || null;
+}
+
+export function formatPrice(amount, currency) {
+  if (!Number.isFinite(amount) || !currency) return null;
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: currency.toUpperCase() }).format(amount / 100);
+  } catch (_) {
+    return null;
+  }
+}
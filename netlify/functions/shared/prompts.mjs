@@ -0,0 +1,59 @@
+// Cover letter prompts shared by /api/generate and the locked-letter unlock flow.
+
+// `candidate` is the describeCandidate() line from the contact profile, when known.
+export function buildPrompt(jobDescription, resume, tone, angle, candidate) {
+  return `
+You are a professional career coach and hiring manager.
+
+Write a highly tailored, concise, persuasive cover letter based on the inputs.
+
+Rules:
+- Match the job description tone (${tone})
+- Sound human, not robotic
+- Avoid generic phrases like "I am excited to apply" or "I am writing to express my interest"
+- Do NOT repeat the resume verbatim
+- Focus on value, impact, and fit
+- Keep it under 300 words
+- No fluff${angle ? `\n- ${angle}` : ""}${candidate ? `\n- The candidate is ${candidate}; sign with their name, never a placeholder` : ""}
+
+Job Description:
+${jobDescription}
+
+Candidate Resume:
+${resume}
+
+Output ONLY the finished cover letter. No headings. No bullets.
+`;
+}
+
+// Teaser for locked users: only the greeting and opening paragraph are generated.
+export function buildPreviewPrompt(jobDescription, resume, tone, angle) {
+  return `
+You are a professional career coach and hiring manager.
+
+Write ONLY the greeting line and the opening paragraph of a tailored cover letter.
+
+Rules:
+- Match the job description tone (${tone})
+- Sound human, not robotic
+- Avoid generic phrases like "I am excited to apply" or "I am writing to express my interest"
+- The opening paragraph is 2-3 sentences
+- Stop after the opening paragraph${angle ? `\n- ${angle}` : ""}
+
+Job Description:
+${jobDescription}
+
+Candidate Resume:
+${resume}
+
+Output ONLY the greeting and opening paragraph. No headings. No commentary.
+`;
+}
+
+// Completes a previously shown teaser into the full letter without changing its opening.
+export function buildUnlockPrompt(jobDescription, resume, tone, opening, candidate) {
+  return `${buildPrompt(jobDescription, resume, tone, "Begin with the opening below exactly as written, then continue the letter", candidate)}
+Opening:
+${opening}
+`;
+}
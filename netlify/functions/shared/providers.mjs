@@ -0,0 +1,507 @@
+import { getEnv } from "./env.mjs";
+import { readEventStream } from "./http.mjs";
+import { PLACEHOLDER_INSTRUCTION, createRedactor, logRedaction } from "./redact.mjs";
+import {
+  backoffDelayMs,
+  countsTowardBreaker,
+  failureReason,
+  getCallPolicy,
+  getChainBudgetMs,
+  isCircuitOpen,
+  isRetryableResult,
+  loadBreakerStates,
+  logFailover,
+  recordProviderResult,
+  sleep,
+} from "./resilience.mjs";
+
+const DEFAULT_BACKEND_URL = "https://cover-letter-api-production-fe17.up.railway.app";
+const DEFAULT_PROVIDER_CHAIN = "backend,openai";
+const CHECK_TIMEOUT_MS = 5000;
+
+// A completion request is { prompt, backendBody?, temperature?, maxTokens?, tier? }.
+// `backendBody` is the Railway backend's /generate contract: { jobDescription, resume, tone, systemPrompt? };
+// when omitted the backend gets the prompt as `systemPrompt`. `tier: "preview"` selects the
+// provider's *_MODEL_PREVIEW when one is set (cheaper model for locked-user teasers).
+//
+// Every adapter exposes:
+//   name, isConfigured(), describe() -> safe config summary for diagnostics,
+//   complete(request, { onToken, signal }) -> { ok, text, model, error, status?, partial? },
+//   check() -> { ok, status?, error?, models_count? } (cheap reachability probe).
+
+function mask(value) {
+  if (!value) return "";
+  if (value.length <= 8) return "***";
+  return value.slice(0, 6) + "..." + value.slice(-4);
+}
+
+function trimBaseUrl(value) {
+  return String(value || "").replace(/\/+$/, "");
+}
+
+async function readJson(res) {
+  return res.json().catch(() => ({}));
+}
+
+function isEventStream(res) {
+  return (res.headers.get("content-type") || "").includes("text/event-stream");
+}
+
+// Streams `res`, forwarding deltas extracted by `parseDelta` to onToken.
+async function collectStream(res, parseDelta, onToken, state) {
+  await readEventStream(res, ({ event, data }) => {
+    const delta = parseDelta(data, event);
+    if (!delta) return;
+    state.streamed += delta;
+    onToken(delta);
+  });
+  return state.streamed.trim();
+}
+
+function parseChatDelta(data) {
+  if (!data || data === "[DONE]") return "";
+  try {
+    const chunk = JSON.parse(data);
+    return chunk?.choices?.[0]?.delta?.content || chunk?.text || chunk?.token || "";
+  } catch (_) {
+    return "";
+  }
+}
+
+function parseAnthropicDelta(data) {
+  try {
+    const chunk = JSON.parse(data);
+    return chunk?.type === "content_block_delta" ? chunk?.delta?.text || "" : "";
+  } catch (_) {
+    return "";
+  }
+}
+
+function createBackendAdapter() {
+  const baseUrl = () => trimBaseUrl(getEnv("BACKEND_URL", DEFAULT_BACKEND_URL));
+
+  return {
+    name: "backend",
+    isConfigured: () => Boolean(baseUrl()),
+    describe: () => ({ base_url: baseUrl() }),
+
+    async complete(request, { onToken, signal } = {}) {
+      const body = request.backendBody || {
+        jobDescription: "",
+        resume: "",
+        tone: "",
+        systemPrompt: request.prompt,
+      };
+      const state = { streamed: "" };
+      try {
+        const res = await fetch(`${baseUrl()}/generate`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...body, stream: Boolean(onToken) }),
+          signal,
+        });
+        if (res.ok && onToken && isEventStream(res)) {
+          const text = await collectStream(res, parseChatDelta, onToken, state);
+          return { ok: Boolean(text), text, model: "backend", error: text ? "" : "Backend returned empty output." };
+        }
+
+        const data = await readJson(res);
+        if (!res.ok) {
+          return { ok: false, status: res.status, error: data.error || "Generation failed" };
+        }
+        const text = (data.text || "").trim();
+        if (!text) {
+          return { ok: false, status: res.status, error: "Backend returned empty output." };
+        }
+        if (onToken) onToken(text);
+        return { ok: true, text, model: data.model || "backend" };
+      } catch (err) {
+        return { ok: false, status: 502, partial: state.streamed.length > 0, error: "Backend unavailable: " + err.message };
+      }
+    },
+
+    async check() {
+      try {
+        const res = await fetch(baseUrl(), { method: "GET", signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+        return { ok: res.status < 500, status: res.status };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+// OpenAI `/chat/completions` dialect. Also used for local Ollama / llama.cpp servers,
+// which expose the same API under `/v1` and do not need a key.
+function createOpenAICompatibleAdapter({ name, label, baseUrlEnv, defaultBaseUrl, apiKeyEnv, modelEnv, defaultModel, requiresKey }) {
+  const apiKey = () => getEnv(apiKeyEnv);
+  const baseUrl = () => trimBaseUrl(getEnv(baseUrlEnv, defaultBaseUrl) || defaultBaseUrl);
+  const model = () => getEnv(modelEnv, defaultModel) || defaultModel;
+  const modelFor = (request) => (request.tier === "preview" && getEnv(`${modelEnv}_PREVIEW`)) || model();
+
+  const buildHeaders = () => {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey()) headers["Authorization"] = `Bearer ${apiKey()}`;
+
+    // Helpful headers for OpenRouter (safe no-op for others).
+    const siteUrl = getEnv("SITE_URL");
+    if (siteUrl) headers["HTTP-Referer"] = siteUrl;
+    headers["X-Title"] = "CoverCraft";
+    return headers;
+  };
+
+  return {
+    name,
+    isConfigured: () => (requiresKey ? Boolean(apiKey()) : Boolean(baseUrl())),
+    describe: () => ({
+      base_url: baseUrl(),
+      model: model(),
+      preview_model: getEnv(`${modelEnv}_PREVIEW`) || null,
+      has_api_key: Boolean(apiKey()),
+      api_key_preview: mask(apiKey()),
+    }),
+
+    async complete(request, { onToken, signal } = {}) {
+      if (requiresKey && !apiKey()) {
+        return { ok: false, error: `AI provider key missing in Netlify env (${apiKeyEnv}).` };
+      }
+
+      const requestModel = modelFor(request);
+      const payload = {
+        model: requestModel,
+        messages: [{ role: "user", content: request.prompt }],
+        temperature: request.temperature ?? 0.7,
+      };
+      if (request.maxTokens) payload.max_tokens = request.maxTokens;
+      if (onToken) payload.stream = true;
+
+      const state = { streamed: "" };
+      try {
+        const res = await fetch(`${baseUrl()}/chat/completions`, {
+          method: "POST",
+          headers: buildHeaders(),
+          body: JSON.stringify(payload),
+          signal,
+        });
+        if (res.ok && onToken && isEventStream(res)) {
+          const text = await collectStream(res, parseChatDelta, onToken, state);
+          if (!text) {
+            return { ok: false, error: `${label} returned empty output.` };
+          }
+          return { ok: true, text, model: requestModel };
+        }
+
+        const data = await readJson(res);
+        if (!res.ok) {
+          return {
+            ok: false,
+            status: res.status,
+            error: data.error?.message || data.error || `${label} error (${res.status})`,
+          };
+        }
+        const text = data?.choices?.[0]?.message?.content?.trim() || "";
+        if (!text) {
+          return { ok: false, error: `${label} returned empty output.` };
+        }
+        if (onToken) onToken(text);
+        return { ok: true, text, model: data?.model || requestModel };
+      } catch (err) {
+        return { ok: false, status: 502, partial: state.streamed.length > 0, error: `${label} unavailable: ` + err.message };
+      }
+    },
+
+    async check() {
+      try {
+        const res = await fetch(`${baseUrl()}/models`, { headers: buildHeaders(), signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+        const data = await readJson(res);
+        if (!res.ok) {
+          return { ok: false, status: res.status, error: data?.error?.message || data?.error || "Provider call failed" };
+        }
+        return { ok: true, status: res.status, models_count: Array.isArray(data?.data) ? data.data.length : null };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+function createAnthropicAdapter() {
+  const apiKey = () => getEnv("ANTHROPIC_API_KEY");
+  const baseUrl = () => trimBaseUrl(getEnv("ANTHROPIC_BASE_URL", "https://api.anthropic.com"));
+  const model = () => getEnv("ANTHROPIC_MODEL", "claude-3-5-haiku-latest");
+  const modelFor = (request) => (request.tier === "preview" && getEnv("ANTHROPIC_MODEL_PREVIEW")) || model();
+  const headers = () => ({
+    "Content-Type": "application/json",
+    "x-api-key": apiKey(),
+    "anthropic-version": "2023-06-01",
+  });
+
+  return {
+    name: "anthropic",
+    isConfigured: () => Boolean(apiKey()),
+    describe: () => ({
+      base_url: baseUrl(),
+      model: model(),
+      preview_model: getEnv("ANTHROPIC_MODEL_PREVIEW") || null,
+      has_api_key: Boolean(apiKey()),
+      api_key_preview: mask(apiKey()),
+    }),
+
+    async complete(request, { onToken, signal } = {}) {
+      if (!apiKey()) {
+        return { ok: false, error: "AI provider key missing in Netlify env (ANTHROPIC_API_KEY)." };
+      }
+
+      const requestModel = modelFor(request);
+      const payload = {
+        model: requestModel,
+        max_tokens: request.maxTokens || 1024,
+        temperature: request.temperature ?? 0.7,
+        messages: [{ role: "user", content: request.prompt }],
+      };
+      if (onToken) payload.stream = true;
+
+      const state = { streamed: "" };
+      try {
+        const res = await fetch(`${baseUrl()}/v1/messages`, {
+          method: "POST",
+          headers: headers(),
+          body: JSON.stringify(payload),
+          signal,
+        });
+        if (res.ok && onToken && isEventStream(res)) {
+          const text = await collectStream(res, parseAnthropicDelta, onToken, state);
+          if (!text) {
+            return { ok: false, error: "Anthropic returned empty output." };
+          }
+          return { ok: true, text, model: requestModel };
+        }
+
+        const data = await readJson(res);
+        if (!res.ok) {
+          return {
+            ok: false,
+            status: res.status,
+            error: data?.error?.message || `Anthropic error (${res.status})`,
+          };
+        }
+        const text = (data?.content || [])
+          .filter((block) => block?.type === "text")
+          .map((block) => block.text)
+          .join("")
+          .trim();
+        if (!text) {
+          return { ok: false, error: "Anthropic returned empty output." };
+        }
+        if (onToken) onToken(text);
+        return { ok: true, text, model: data?.model || requestModel };
+      } catch (err) {
+        return { ok: false, status: 502, partial: state.streamed.length > 0, error: "Anthropic unavailable: " + err.message };
+      }
+    },
+
+    async check() {
+      try {
+        const res = await fetch(`${baseUrl()}/v1/models`, { headers: headers(), signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+        const data = await readJson(res);
+        if (!res.ok) {
+          return { ok: false, status: res.status, error: data?.error?.message || "Provider call failed" };
+        }
+        return { ok: true, status: res.status, models_count: Array.isArray(data?.data) ? data.data.length : null };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+const ADAPTERS = {
+  backend: createBackendAdapter(),
+  openai: createOpenAICompatibleAdapter({
+    name: "openai",
+    label: "Direct provider",
+    baseUrlEnv: "OPENAI_BASE_URL",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    apiKeyEnv: "OPENAI_API_KEY",
+    modelEnv: "OPENAI_MODEL",
+    defaultModel: "gpt-4o-mini",
+    requiresKey: true,
+  }),
+  anthropic: createAnthropicAdapter(),
+  local: createOpenAICompatibleAdapter({
+    name: "local",
+    label: "Local model server",
+    baseUrlEnv: "LOCAL_AI_BASE_URL",
+    defaultBaseUrl: "",
+    apiKeyEnv: "LOCAL_AI_API_KEY",
+    modelEnv: "LOCAL_AI_MODEL",
+    defaultModel: "llama3.1",
+    requiresKey: false,
+  }),
+};
+
+export function getProvider(name) {
+  return ADAPTERS[String(name || "").trim().toLowerCase()] || null;
+}
+
+function parseChain(value) {
+  const names = String(value || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)].map(getProvider).filter(Boolean);
+}
+
+// Ordered adapters from PROVIDER_CHAIN (comma separated, unknown names ignored).
+export function getProviderChain() {
+  const chain = parseChain(getEnv("PROVIDER_CHAIN", DEFAULT_PROVIDER_CHAIN));
+  return chain.length > 0 ? chain : parseChain(DEFAULT_PROVIDER_CHAIN);
+}
+
+// Chain for locked-user teasers. PREVIEW_PROVIDER_CHAIN lets previews skip providers that
+// cannot cap output (the backend always writes a full letter); defaults to PROVIDER_CHAIN.
+export function getPreviewProviderChain() {
+  const chain = parseChain(getEnv("PREVIEW_PROVIDER_CHAIN"));
+  return chain.length > 0 ? chain : getProviderChain();
+}
+
+// One provider call under its deadline, retried with jittered backoff on retryable statuses.
+// Never retries once tokens have been streamed to the caller.
+async function callWithRetries(provider, request, { onToken, deadline }) {
+  const { timeoutMs, maxRetries } = getCallPolicy(provider.name);
+  let result = null;
+  let tries = 0;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    const callTimeout = Math.min(timeoutMs, remaining);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), callTimeout);
+    tries += 1;
+    try {
+      result = await provider.complete(request, { onToken, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!result.ok && controller.signal.aborted) {
+      result = { ...result, timedOut: true, error: `${provider.name} timed out after ${callTimeout}ms` };
+    }
+
+    if (!isRetryableResult(result) || attempt === maxRetries) break;
+    const delay = backoffDelayMs(attempt);
+    if (Date.now() + delay >= deadline) break;
+    await sleep(delay);
+  }
+
+  return {
+    ...(result || { ok: false, timedOut: true, error: `${provider.name} skipped: time budget exhausted` }),
+    tries,
+  };
+}
+
+// Copy of `request` with personal details swapped for placeholders, or `request` itself
+// when nothing was found. Prompts we write get a note asking the model to keep placeholders.
+function redactRequest(request, redactor) {
+  const prompt = redactor.redact(request.prompt);
+  const backendBody = request.backendBody
+    ? Object.fromEntries(Object.entries(request.backendBody).map(([key, value]) => [key, redactor.redact(value)]))
+    : request.backendBody;
+  if (!redactor.hasRedactions()) return request;
+
+  // The backend gets the note even when it builds its own prompt (no systemPrompt), or it
+  // may rewrite placeholders that then can't be restored.
+  const withNote = (text) => (text ? `${text}\n\n${PLACEHOLDER_INSTRUCTION}` : text);
+  return {
+    ...request,
+    prompt: withNote(prompt),
+    backendBody: backendBody && {
+      ...backendBody,
+      systemPrompt: backendBody.systemPrompt ? withNote(backendBody.systemPrompt) : PLACEHOLDER_INSTRUCTION,
+    },
+  };
+}
+
+// Tries each provider in chain order. With `onToken`, upstream output is forwarded as it
+// arrives; `onReset` fires when a half-streamed attempt is abandoned for the next provider.
+// Providers whose circuit is open are skipped until their cooldown ends.
+//
+// Personal details are redacted (see redact.mjs) before the request reaches any provider
+// except `local`, and restored in the streamed tokens and the returned text.
+export async function completeWithFallback(request, { onToken, onReset, chain = getProviderChain() } = {}) {
+  const deadline = Date.now() + getChainBudgetMs();
+  const breakerStates = await loadBreakerStates(chain.map((p) => p.name));
+  const attempts = [];
+  const redactor = createRedactor();
+  const redactedRequest = redactRequest(request, redactor);
+  if (redactedRequest !== request) logRedaction({ counts: redactor.counts() });
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    const next = chain[i + 1]?.name || null;
+
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.name, ok: false, reason: "not_configured", error: "not configured" });
+      continue;
+    }
+
+    const breakerState = breakerStates.get(provider.name);
+    if (isCircuitOpen(breakerState)) {
+      attempts.push({ provider: provider.name, ok: false, reason: "circuit_open", error: breakerState.last_error || "circuit open" });
+      logFailover({ from: provider.name, to: next, reason: "circuit_open", open_until: breakerState.opened_until });
+      continue;
+    }
+
+    if (deadline - Date.now() <= 0) {
+      attempts.push({ provider: provider.name, ok: false, reason: "budget_exhausted", error: "time budget exhausted" });
+      continue;
+    }
+
+    const outbound = provider.name === "local" ? request : redactedRequest;
+    const stream = onToken ? redactor.streamRestorer(onToken) : null;
+    const result = await callWithRetries(provider, outbound, { onToken: stream?.push, deadline });
+    if (result.ok && result.text) {
+      stream?.flush();
+      attempts.push({ provider: provider.name, ok: true, tries: result.tries });
+      if (breakerState?.consecutive_failures > 0) {
+        await recordProviderResult(provider.name, { ok: true });
+      }
+      return { text: redactor.restore(result.text), provider: provider.name, model: result.model || "", error: "", attempts };
+    }
+    stream?.discard();
+
+    const reason = failureReason(result);
+    attempts.push({ provider: provider.name, ok: false, reason, status: result.status, tries: result.tries, error: result.error });
+    logFailover({ from: provider.name, to: next, reason, status: result.status || null, tries: result.tries, error: result.error });
+    if (countsTowardBreaker(result)) {
+      await recordProviderResult(provider.name, { ok: false, error: result.error });
+    }
+    if (result.partial && onReset) onReset();
+  }
+
+  // Prefer the last real failure over "not configured" placeholders.
+  const lastFailure = [...attempts].reverse().find((a) => a.error && a.reason !== "not_configured");
+  return {
+    text: "",
+    provider: "",
+    model: "",
+    error: lastFailure?.error || "No AI provider is configured. Set PROVIDER_CHAIN and provider env vars.",
+    attempts,
+  };
+}
+
+export function describeGenerationError(error) {
+  let message = error || "Generation failed";
+  const lowered = String(message).toLowerCase();
+  if (lowered.includes("incorrect api key") || lowered.includes("invalid api key") || lowered.includes("invalid x-api-key")) {
+    message = "AI provider key is invalid. Update the API key for the failing provider.";
+  }
+  if (lowered.includes("is not a valid model id")) {
+    message = "AI model is invalid. Set OPENAI_MODEL to a valid provider model (e.g. openrouter/auto).";
+  }
+  if (lowered.includes("exceeded your current quota") || lowered.includes("insufficient_quota") || lowered.includes("429")) {
+    message = "AI provider quota exceeded. Add billing/credits to your provider project, then retry.";
+  }
+  return message;
+}
@@ -0,0 +1,105 @@
+import { getEnv } from "./env.mjs";
+import { jsonResponse } from "./http.mjs";
+import { getSupabaseAdmin } from "./supabase.mjs";
+import { ENTITLEMENT_COLUMNS, computeEntitlement } from "./entitlement.mjs";
+
+// Sliding-window limits as [max requests, window seconds], per route and plan.
+// `anonymous` applies to unauthenticated callers, keyed by IP. `ip` is a ceiling per client
+// IP across every signed-in account, so one client can't multiply its quota with spare
+// free accounts.
+// Override with RATE_LIMIT_<ROUTE>_<PLAN>="<max>/<seconds>", e.g. RATE_LIMIT_GENERATE_FREE="5/60".
+const ROUTE_LIMITS = {
+  generate: { free: [6, 60], pro: [20, 60], ip: [30, 60] },
+  refine: { free: [10, 60], pro: [30, 60], ip: [45, 60] },
+  unlock: { free: [5, 60], pro: [10, 60], ip: [20, 60] },
+  match: { free: [10, 60], pro: [30, 60], ip: [45, 60] },
+  export: { free: [20, 60], pro: [60, 60], ip: [90, 60] },
+  "resume-upload": { free: [5, 600], pro: [20, 600], ip: [30, 600] },
+  account: { free: [5, 600], pro: [5, 600], ip: [10, 600] },
+  "profile-refresh": { free: [10, 600], pro: [10, 600], ip: [30, 600] },
+  "diag-ai": { anonymous: [5, 60] },
+  "diag-generate": { anonymous: [3, 600] },
+};
+
+function parseLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value || ""));
+  if (!match) return null;
+  const max = Number(match[1]);
+  const windowSeconds = Number(match[2]);
+  return max > 0 && windowSeconds > 0 ? [max, windowSeconds] : null;
+}
+
+function getRouteLimit(route, plan) {
+  const envName = `RATE_LIMIT_${route.replace(/[^a-z0-9]+/gi, "_").toUpperCase()}_${plan.toUpperCase()}`;
+  const override = parseLimit(getEnv(envName));
+  if (override) return override;
+  const defaults = ROUTE_LIMITS[route] || {};
+  if (plan === "ip") return defaults.ip || null;
+  return defaults[plan] || defaults.free || defaults.anonymous || null;
+}
+
+export function getClientIp(req, context) {
+  if (context?.ip) return context.ip;
+  const forwarded = req.headers.get("x-nf-client-connection-ip") || req.headers.get("x-forwarded-for") || "";
+  return forwarded.split(",")[0].trim() || "unknown";
+}
+
+async function getPlan(supabase, user) {
+  if (!user) return "anonymous";
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select(ENTITLEMENT_COLUMNS)
+    .eq("id", user.id)
+    .maybeSingle();
+  if (error) console.error("Rate limit plan lookup failed, using the free limits:", error.message);
+  return computeEntitlement(profile).isPro ? "pro" : "free";
+}
+
+export function rateLimitedResponse(retryAfterSeconds) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return jsonResponse(
+    429,
+    {
+      error: "rate_limited",
+      message: `Too many requests. Please wait ${retryAfter} second${retryAfter === 1 ? "" : "s"} and try again.`,
+      retry_after: retryAfter,
+    },
+    { "Retry-After": String(retryAfter) }
+  );
+}
+
+// Records one hit for the caller (user id when signed in, otherwise client IP), plus one
+// in the per-IP ceiling for signed-in callers, and returns a 429 Response when either
+// window is full, or null to let the request through. The IP ceiling is checked first, so
+// a request it rejects does not use up the user's own quota. Counters live in Supabase so every
+// function instance shares them; if the limiter itself fails the request is allowed
+// rather than blocking real users, and the failure is logged.
+export async function enforceRateLimit(req, context, { route, user = null }) {
+  try {
+    const supabase = getSupabaseAdmin();
+    const ip = getClientIp(req, context);
+    const buckets = [];
+    if (user && ip !== "unknown") buckets.push([`ip:${ip}`, getRouteLimit(route, "ip")]);
+    buckets.push([user ? `user:${user.id}` : `ip:${ip}`, getRouteLimit(route, await getPlan(supabase, user))]);
+
+    for (const [key, limit] of buckets) {
+      if (!limit) continue;
+      const [max, windowSeconds] = limit;
+      const { data, error } = await supabase.rpc("check_rate_limit", {
+        p_key: key,
+        p_route: route,
+        p_limit: max,
+        p_window_seconds: windowSeconds,
+      });
+      if (error) {
+        console.error(`Rate limit check failed for ${route}, allowing the request:`, error.message);
+        continue;
+      }
+      if (data?.allowed === false) return rateLimitedResponse(Number(data.retry_after_seconds) || windowSeconds);
+    }
+    return null;
+  } catch (err) {
+    console.error(`Rate limit check failed for ${route}, allowing the request:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,157 @@
+import { getEnv } from "./env.mjs";
+
+// Local PII redaction for outbound AI calls. Matching spans are swapped for numbered
+// placeholders such as [EMAIL_1] before a prompt leaves the function, and swapped back
+// in whatever the provider returns. The same value always gets the same placeholder,
+// so a phone number that appears in both the resume and the job post stays consistent.
+
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+const MAX_PLACEHOLDER_CHARS = 24;
+
+const MONTHS = "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+const DATE_VALUE = `(?:\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4})`;
+const STREET_TYPES = "Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Way|Terrace|Ter|Parkway|Pkwy|Square|Sq|Highway|Hwy|Crescent|Close";
+// A street address starts a line or field ("Address: 12 Baker St", "..., 12 Baker St") or
+// follows "at"; a number in running text ("3 Main projects for 10 Downing Street") is left alone.
+const ADDRESS_START = "(?<=^[ \\t]*|[,:;(|][ \\t]*|\\b[Aa]t\\s+)";
+const YEAR = /^(?:19|20)\d{2}$/;
+
+// Detectors run in this order; earlier categories claim their spans first (an email's
+// digits are never seen by the phone detector). `group` selects the part of the match
+// that is replaced, so labels such as "Date of birth:" stay readable for the model.
+const DETECTORS = [
+  {
+    category: "email",
+    placeholder: "EMAIL",
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+  },
+  {
+    category: "birth_date",
+    placeholder: "BIRTH_DATE",
+    pattern: new RegExp(`\\b(?:date of birth|birth\\s?date|d\\.?o\\.?b\\.?|born(?: on)?)\\s*[:\\-]?\\s*(${DATE_VALUE})`, "gi"),
+    group: 1,
+  },
+  {
+    category: "address",
+    placeholder: "ADDRESS",
+    pattern: new RegExp(
+      `(?:${ADDRESS_START}\\d{1,5}[A-Z]?\\s+(?:[A-Z][\\w'.-]*\\s+){0,4}(?:${STREET_TYPES})\\b\\.?(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|Flat|#)\\.?\\s*[\\w-]+)?|\\bP\\.?\\s?O\\.?\\s+Box\\s+\\d+)`,
+      "gm"
+    ),
+  },
+  {
+    category: "phone",
+    placeholder: "PHONE",
+    // Needs a leading "+" or "(", or separators between digit groups; a bare run of
+    // digits (an id, an amount) is not a phone number.
+    pattern:
+      /(?<![\w+(])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,6}(?:[ .-]?\d{2,6}){0,4}|\(\d{1,4}\)[ .-]?\d{2,6}(?:[ .-]\d{2,6}){0,4}|\d{2,6}(?:[ .-]\d{2,6}){1,4})(?![\w-])/g,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      if (digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) return false;
+      // Year ranges and lists ("2019 - 2021", "2019 2020 2021") are dates, not numbers.
+      return !value.split(/[\s.-]+/).filter(Boolean).every((group) => YEAR.test(group));
+    },
+  },
+];
+
+export const REDACTION_CATEGORIES = DETECTORS.map((d) => d.category);
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${DETECTORS.map((d) => d.placeholder).join("|")})_(\\d+)\\]`, "g");
+
+// PII_REDACT_CATEGORIES is a comma-separated subset of REDACTION_CATEGORIES (default:
+// all of them); "none" turns redaction off.
+export function getRedactionCategories() {
+  const raw = getEnv("PII_REDACT_CATEGORIES", REDACTION_CATEGORIES.join(",")).trim().toLowerCase();
+  if (raw === "none" || raw === "off") return [];
+  const wanted = raw.split(",").map((name) => name.trim()).filter(Boolean);
+  return REDACTION_CATEGORIES.filter((category) => wanted.includes(category));
+}
+
+export const PLACEHOLDER_INSTRUCTION =
+  "Personal details in the input were replaced with placeholders such as [EMAIL_1] or [PHONE_1]. " +
+  "If you use one, copy the placeholder exactly, including the brackets.";
+
+// Creates a redaction session for one logical request. `redact` can be called on every
+// string that goes out; `restore` puts the original values back into provider output.
+export function createRedactor(categories = getRedactionCategories()) {
+  const detectors = DETECTORS.filter((d) => categories.includes(d.category));
+  const byValue = new Map();
+  const byPlaceholder = new Map();
+  const counts = {};
+
+  const placeholderFor = (detector, value) => {
+    const key = `${detector.category}:${value.toLowerCase()}`;
+    if (!byValue.has(key)) {
+      counts[detector.category] = (counts[detector.category] || 0) + 1;
+      const placeholder = `[${detector.placeholder}_${counts[detector.category]}]`;
+      byValue.set(key, placeholder);
+      byPlaceholder.set(placeholder, value);
+    }
+    return byValue.get(key);
+  };
+
+  const redact = (text) => {
+    if (typeof text !== "string" || !text || detectors.length === 0) return text;
+    let output = text;
+    for (const detector of detectors) {
+      output = output.replace(detector.pattern, (match, ...rest) => {
+        const value = detector.group ? rest[detector.group - 1] : match;
+        if (!value || (detector.accept && !detector.accept(value))) return match;
+        return match.replace(value, placeholderFor(detector, value));
+      });
+    }
+    return output;
+  };
+
+  const restore = (text) => {
+    if (typeof text !== "string" || byPlaceholder.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match) => byPlaceholder.get(match) ?? match);
+  };
+
+  // Wraps a streaming onToken so placeholders split across deltas are restored whole.
+  // A trailing "[" run that could still become a placeholder is held back until the
+  // next delta or `flush()`; `discard()` drops it when an attempt is abandoned.
+  const streamRestorer = (onToken) => {
+    let pending = "";
+    const emit = (text) => {
+      if (text) onToken(restore(text));
+    };
+    return {
+      push(delta) {
+        const text = pending + delta;
+        const open = text.lastIndexOf("[");
+        const tail = open === -1 ? "" : text.slice(open);
+        if (tail && tail.length < MAX_PLACEHOLDER_CHARS && /^\[[A-Z_]*\d*$/.test(tail)) {
+          pending = tail;
+          emit(text.slice(0, open));
+        } else {
+          pending = "";
+          emit(text);
+        }
+      },
+      flush() {
+        const text = pending;
+        pending = "";
+        emit(text);
+      },
+      discard() {
+        pending = "";
+      },
+    };
+  };
+
+  return {
+    redact,
+    restore,
+    streamRestorer,
+    hasRedactions: () => byPlaceholder.size > 0,
+    // Distinct redacted values per category; never the values themselves.
+    counts: () => ({ ...counts }),
+  };
+}
+
+export function logRedaction(details) {
+  console.info("[pii-redaction]", JSON.stringify(details));
+}
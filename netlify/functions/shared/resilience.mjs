@@ -0,0 +1,105 @@
+import { getEnv } from "./env.mjs";
+import { getSupabaseAdmin } from "./supabase.mjs";
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_CAP_MS = 3000;
+
+function getNumberEnv(name, fallback) {
+  const raw = getEnv(name, "");
+  if (raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Per-provider overrides (e.g. BACKEND_TIMEOUT_MS) win over the AI_* defaults.
+export function getCallPolicy(providerName) {
+  const prefix = String(providerName || "").toUpperCase();
+  return {
+    timeoutMs: getNumberEnv(`${prefix}_TIMEOUT_MS`, getNumberEnv("AI_TIMEOUT_MS", 15000)),
+    maxRetries: getNumberEnv(`${prefix}_MAX_RETRIES`, getNumberEnv("AI_MAX_RETRIES", 2)),
+  };
+}
+
+// Overall wall-clock budget for one chain run, kept under the function time limit.
+export function getChainBudgetMs() {
+  return getNumberEnv("AI_TOTAL_BUDGET_MS", 24000);
+}
+
+export function isRetryableResult(result) {
+  if (result.ok || result.partial || result.timedOut) return false;
+  return RETRYABLE_STATUSES.has(Number(result.status));
+}
+
+// Full-jitter exponential backoff.
+export function backoffDelayMs(attempt) {
+  const ceiling = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Short reason code for logs and `attempts` entries.
+export function failureReason(result) {
+  if (result.timedOut) return "timeout";
+  if (result.status && result.status !== 502) return `http_${result.status}`;
+  if (result.status === 502) return "unavailable";
+  return "error";
+}
+
+// Client errors like a 400 for an oversized prompt say nothing about upstream health.
+export function countsTowardBreaker(result) {
+  if (result.ok) return false;
+  if (result.timedOut || !result.status) return true;
+  const status = Number(result.status);
+  return status >= 500 || status === 401 || status === 403 || RETRYABLE_STATUSES.has(status);
+}
+
+function getBreakerPolicy() {
+  return {
+    threshold: Math.max(1, getNumberEnv("AI_BREAKER_THRESHOLD", 3)),
+    cooldownSeconds: Math.max(1, Math.round(getNumberEnv("AI_BREAKER_COOLDOWN_MS", 300000) / 1000)),
+  };
+}
+
+// Breaker state lives in `provider_health` so it carries across function invocations.
+// Any Supabase problem disables the breaker rather than blocking generation.
+export async function loadBreakerStates(providerNames) {
+  const states = new Map();
+  try {
+    const supabase = getSupabaseAdmin();
+    const { data, error } = await supabase
+      .from("provider_health")
+      .select("provider, consecutive_failures, opened_until, last_error")
+      .in("provider", providerNames);
+    if (error) return states;
+    for (const row of data || []) states.set(row.provider, row);
+  } catch (_) {}
+  return states;
+}
+
+export function isCircuitOpen(state, now = Date.now()) {
+  if (!state?.opened_until) return false;
+  const openedUntil = Date.parse(state.opened_until);
+  return Number.isFinite(openedUntil) && openedUntil > now;
+}
+
+export async function recordProviderResult(providerName, { ok, error }) {
+  const { threshold, cooldownSeconds } = getBreakerPolicy();
+  try {
+    const supabase = getSupabaseAdmin();
+    await supabase.rpc("record_provider_result", {
+      p_provider: providerName,
+      p_success: ok,
+      p_error: ok ? null : String(error || "").slice(0, 500),
+      p_threshold: threshold,
+      p_cooldown_seconds: cooldownSeconds,
+    });
+  } catch (_) {}
+}
+
+export function logFailover(details) {
+  console.warn("[ai-failover]", JSON.stringify(details));
+}
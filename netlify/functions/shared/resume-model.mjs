@@ -0,0 +1,516 @@
+import { extractKeywords } from "./match.mjs";
+
+// Structured resume stored in `resumes.data`. Every section can be replaced on its own
+// through /api/resume/:section, and generate.mjs builds its prompt from these fields.
+//
+// {
+//   contact: { full_name, email, phone, location },
+//   headline: "Senior Software Engineer",
+//   summary: "...",
+//   roles: [{ title, company, location, start_date, end_date, current, achievements: [] }],
+//   skills: ["React", ...],
+//   education: [{ institution, degree, field, start_date, end_date }],
+//   links: ["https://linkedin.com/in/...", ...],
+// }
+//
+// Dates are "YYYY" or "YYYY-MM"; an ongoing role has `current: true` and no end date.
+export const RESUME_SECTIONS = ["contact", "headline", "summary", "roles", "skills", "education", "links"];
+
+const LIMITS = {
+  text: 160,
+  headline: 160,
+  summary: 1200,
+  roles: 15,
+  achievements: 8,
+  achievement: 400,
+  skills: 50,
+  skill: 60,
+  education: 8,
+  links: 8,
+  link: 200,
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const PRESENT_PATTERN = /^(present|current|now|today|ongoing)$/i;
+
+function cleanText(value, max = LIMITS.text) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+}
+
+// Accepts the date spellings resumes actually use ("2021", "2021-03", "03/2021",
+// "Mar 2021", "March 2021") and returns "YYYY" or "YYYY-MM". Returns null when unreadable.
+export function normalizeResumeDate(value) {
+  const text = cleanText(value).toLowerCase().replace(/[.,]/g, "");
+  if (!text) return "";
+  let match = /^(\d{4})(?:-(\d{1,2}))?$/.exec(text);
+  if (match) {
+    const month = match[2] ? Number(match[2]) : null;
+    if (month !== null && (month < 1 || month > 12)) return null;
+    return month ? `${match[1]}-${String(month).padStart(2, "0")}` : match[1];
+  }
+  match = /^(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) {
+    const month = Number(match[1]);
+    return month >= 1 && month <= 12 ? `${match[2]}-${String(month).padStart(2, "0")}` : null;
+  }
+  match = /^([a-z]+)\s+(\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3)) + 1;
+    return month > 0 ? `${match[2]}-${String(month).padStart(2, "0")}` : null;
+  }
+  return null;
+}
+
+function cleanList(value, maxItems, maxChars) {
+  const seen = new Set();
+  const items = [];
+  for (const item of Array.isArray(value) ? value : []) {
+    const text = cleanText(item, maxChars);
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    items.push(text);
+  }
+  return { items: items.slice(0, maxItems), truncated: items.length > maxItems };
+}
+
+// Validates dates on one role/education entry. In strict mode an unreadable date is an
+// error; otherwise it is dropped (AI output is tidied rather than rejected).
+function cleanDates(entry, strict, label) {
+  const dates = {};
+  for (const field of ["start_date", "end_date"]) {
+    const raw = entry?.[field];
+    if (field === "end_date" && PRESENT_PATTERN.test(cleanText(raw))) {
+      dates.end_date = "";
+      dates.current = true;
+      continue;
+    }
+    const normalized = normalizeResumeDate(raw);
+    if (normalized === null) {
+      if (strict) return { error: `${label} ${field} must look like 2021 or 2021-03` };
+      dates[field] = "";
+    } else {
+      dates[field] = normalized;
+    }
+  }
+  if (dates.start_date && dates.end_date && dates.end_date < dates.start_date) {
+    if (strict) return { error: `${label} ends before it starts` };
+    dates.end_date = "";
+  }
+  return { dates };
+}
+
+const SECTION_VALIDATORS = {
+  contact(value) {
+    const contact = {
+      full_name: cleanText(value?.full_name, 120),
+      email: cleanText(value?.email, 160),
+      phone: cleanText(value?.phone, 40),
+      location: cleanText(value?.location, 120),
+    };
+    if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+      return { error: "contact email is not a valid email address" };
+    }
+    return { value: contact };
+  },
+
+  headline(value) {
+    return { value: cleanText(value, LIMITS.headline) };
+  },
+
+  summary(value) {
+    return { value: String(value ?? "").replace(/[ \t]+/g, " ").trim().slice(0, LIMITS.summary) };
+  },
+
+  roles(value, strict) {
+    if (!Array.isArray(value)) return { error: "roles must be a list" };
+    if (strict && value.length > LIMITS.roles) return { error: `At most ${LIMITS.roles} roles are allowed` };
+    const roles = [];
+    for (const [i, entry] of value.slice(0, LIMITS.roles).entries()) {
+      const role = {
+        title: cleanText(entry?.title),
+        company: cleanText(entry?.company),
+        location: cleanText(entry?.location, 120),
+      };
+      if (!role.title && !role.company) {
+        if (strict) return { error: `Role ${i + 1} needs a title or company` };
+        continue;
+      }
+      const { dates, error } = cleanDates(entry, strict, `Role ${i + 1}`);
+      if (error) return { error };
+      const achievements = cleanList(entry?.achievements, LIMITS.achievements, LIMITS.achievement);
+      if (strict && achievements.truncated) {
+        return { error: `Role ${i + 1} can have at most ${LIMITS.achievements} achievements` };
+      }
+      roles.push({
+        ...role,
+        start_date: dates.start_date,
+        end_date: entry?.current === true || dates.current ? "" : dates.end_date,
+        current: entry?.current === true || dates.current === true,
+        achievements: achievements.items,
+      });
+    }
+    return { value: roles };
+  },
+
+  skills(value, strict) {
+    if (!Array.isArray(value)) return { error: "skills must be a list" };
+    const skills = cleanList(value, LIMITS.skills, LIMITS.skill);
+    if (strict && skills.truncated) return { error: `At most ${LIMITS.skills} skills are allowed` };
+    return { value: skills.items };
+  },
+
+  education(value, strict) {
+    if (!Array.isArray(value)) return { error: "education must be a list" };
+    if (strict && value.length > LIMITS.education) {
+      return { error: `At most ${LIMITS.education} education entries are allowed` };
+    }
+    const education = [];
+    for (const [i, entry] of value.slice(0, LIMITS.education).entries()) {
+      const item = {
+        institution: cleanText(entry?.institution),
+        degree: cleanText(entry?.degree),
+        field: cleanText(entry?.field),
+      };
+      if (!item.institution && !item.degree) {
+        if (strict) return { error: `Education entry ${i + 1} needs an institution or degree` };
+        continue;
+      }
+      const { dates, error } = cleanDates(entry, strict, `Education entry ${i + 1}`);
+      if (error) return { error };
+      education.push({ ...item, start_date: dates.start_date, end_date: dates.end_date });
+    }
+    return { value: education };
+  },
+
+  links(value, strict) {
+    if (!Array.isArray(value)) return { error: "links must be a list" };
+    const links = cleanList(value, LIMITS.links, LIMITS.link);
+    if (strict && links.truncated) return { error: `At most ${LIMITS.links} links are allowed` };
+    const isValid = (link) => !/\s/.test(link) && /\.[a-z]{2,}/i.test(link);
+    const invalid = links.items.find((link) => !isValid(link));
+    if (invalid && strict) return { error: `"${invalid}" is not a valid link` };
+    return { value: links.items.filter(isValid) };
+  },
+};
+
+export function emptyResume() {
+  return {
+    contact: { full_name: "", email: "", phone: "", location: "" },
+    headline: "",
+    summary: "",
+    roles: [],
+    skills: [],
+    education: [],
+    links: [],
+  };
+}
+
+// Validates one section. `strict` is used for user edits; AI and parser output is
+// validated leniently so a single odd field doesn't discard the whole resume.
+export function validateResumeSection(section, value, { strict = true } = {}) {
+  const validator = SECTION_VALIDATORS[section];
+  if (!validator) {
+    return { value: null, error: `Unknown resume section "${section}"` };
+  }
+  const { value: clean, error } = validator(value, strict);
+  return error ? { value: null, error } : { value: clean, error: "" };
+}
+
+// Returns { resume, error } with every section present.
+export function validateResume(input, { strict = false } = {}) {
+  const resume = emptyResume();
+  for (const section of RESUME_SECTIONS) {
+    if (input?.[section] === undefined) continue;
+    const { value, error } = validateResumeSection(section, input[section], { strict });
+    if (error) {
+      if (strict) return { resume: null, error };
+      continue;
+    }
+    resume[section] = value;
+  }
+  return { resume, error: "" };
+}
+
+// A parse is only worth keeping if it found the parts a cover letter draws on.
+export function isResumeUsable(resume) {
+  return Boolean(resume && (resume.roles.length > 0 || resume.skills.length > 0 || resume.summary));
+}
+
+// ---- AI extraction ----
+
+export function buildResumeExtractionPrompt(resumeText) {
+  return `You convert resumes into structured JSON. Use only facts present in the text; use "" or [] when something is missing. Dates are "YYYY" or "YYYY-MM"; set "current": true for an ongoing role.
+
+Return ONLY JSON in exactly this shape:
+{"contact": {"full_name": "", "email": "", "phone": "", "location": ""},
+ "headline": "",
+ "summary": "",
+ "roles": [{"title": "", "company": "", "location": "", "start_date": "", "end_date": "", "current": false, "achievements": []}],
+ "skills": [],
+ "education": [{"institution": "", "degree": "", "field": "", "start_date": "", "end_date": ""}],
+ "links": []}
+
+List at most ${LIMITS.roles} roles (most recent first) with up to ${LIMITS.achievements} achievements each, and at most ${LIMITS.skills} skills.
+
+Resume text:
+${resumeText}`;
+}
+
+// Parses and validates a provider's JSON answer; returns null when it isn't usable.
+export function parseResumeJson(text) {
+  const match = String(text || "").match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const { resume } = validateResume(JSON.parse(match[0]));
+    return isResumeUsable(resume) ? resume : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// ---- Deterministic parser (used when no AI provider is available) ----
+
+const HEADINGS = [
+  ["summary", /^(summary|profile|professional summary|professional profile|about( me)?|objective|career objective)$/],
+  ["experience", /^(experience|work experience|professional experience|relevant experience|employment( history)?|work history|career history)$/],
+  ["education", /^(education|academic background|education (and|&) training)$/],
+  ["skills", /^(skills|technical skills|core skills|key skills|skills (and|&) tools|core competencies|competencies|technologies|tools)$/],
+  ["links", /^(links|online|online profiles|profiles)$/],
+  ["other", /^(certifications?|licenses?( (and|&) certifications)?|projects|awards|honou?rs|languages|interests|volunteer(ing)?( experience)?|publications|references)$/],
+];
+
+const MONTH_WORD = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_TOKEN = `(?:${MONTH_WORD}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}(?:-\\d{2})?)`;
+const DATE_RANGE = new RegExp(
+  `(${DATE_TOKEN})\\s*(?:-|–|—|to|until)\\s*(${DATE_TOKEN}|present|current|now|today)`,
+  "i"
+);
+const SINGLE_YEAR = /\b(19|20)\d{2}\b/;
+const BULLET = /^[-•*▪●◦‣–]\s*/;
+const EMAIL = /[^\s@,;|()<>]+@[^\s@,;|()<>]+\.[a-z]{2,}/i;
+const PHONE = /\+?\(?\d[\d\s().-]{7,}\d/;
+const URL = /\b(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|behance\.net|dribbble\.com|[\w-]+\.(?:dev|io|me|com|net|org|co|app|design))(?:\/[^\s,;|)]*)?/gi;
+const LOCATION = /\b([A-Z][a-zA-Z.'-]+(?: [A-Z][a-zA-Z.'-]+)*, (?:[A-Z]{2}|[A-Z][a-z]+(?: [A-Z][a-z]+)*))\b/;
+const DEGREE = /\b(bachelor|master|mba|phd|ph\.d|doctorate|associate|diploma|certificate|b\.?sc?|m\.?sc?|b\.?a|m\.?a|b\.?eng|m\.?eng|bs|ms|ba|ma)\b/i;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+function headingFor(line) {
+  const text = line.toLowerCase().replace(/[:|]+$/, "").trim();
+  if (!text || text.length > 40) return null;
+  const found = HEADINGS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+}
+
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = "header";
+  for (const line of lines) {
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+      sections[current] ||= [];
+      continue;
+    }
+    sections[current] ||= [];
+    sections[current].push(line);
+  }
+  return sections;
+}
+
+function isContactLine(line) {
+  return EMAIL.test(line) || PHONE.test(line) || /linkedin\.com|github\.com|https?:\/\//i.test(line);
+}
+
+function parseHeader(lines, text) {
+  const contact = { full_name: "", email: "", phone: "", location: "" };
+  const email = EMAIL.exec(text);
+  if (email) contact.email = email[0];
+  const headerText = lines.join(" | ");
+  const phone = PHONE.exec(headerText.replace(EMAIL, "")) || PHONE.exec(text.replace(EMAIL, ""));
+  if (phone && phone[0].replace(/\D/g, "").length >= 9) contact.phone = phone[0].trim();
+  const location = LOCATION.exec(headerText);
+  if (location) contact.location = location[1];
+
+  let headline = "";
+  for (const line of lines) {
+    if (isContactLine(line)) continue;
+    const words = line.split(/\s+/);
+    if (!contact.full_name && words.length >= 2 && words.length <= 4 && /^[\p{L}'. -]+$/u.test(line)) {
+      contact.full_name = line;
+    } else if (contact.full_name && !headline && line.length <= LIMITS.headline && line !== contact.location) {
+      headline = line.split(/\s+[|•·]\s+/)[0];
+    }
+  }
+  return { contact, headline };
+}
+
+function splitRoleHeader(text) {
+  const parts = text
+    .split(/\s+(?:at|@|\||—|–|-)\s+|,\s+|\s{2,}|\t/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return { title: parts[0] || "", company: parts[1] || "", location: parts.slice(2).join(", ") };
+}
+
+function parseExperience(lines) {
+  const roles = [];
+  let role = null;
+  let pending = [];
+
+  for (const line of lines) {
+    const range = DATE_RANGE.exec(line);
+    if (range) {
+      const rest = line.replace(range[0], "").replace(/[()|,–—-]+\s*$/, "").replace(/\s*[(|,–—-]+$/, "").trim();
+      const header = splitRoleHeader(rest || pending.join(" | "));
+      if (rest && pending.length > 0 && !header.company) header.company = pending.join(", ");
+      role = {
+        ...header,
+        start_date: range[1],
+        end_date: PRESENT_PATTERN.test(range[2]) ? "" : range[2],
+        current: PRESENT_PATTERN.test(range[2]),
+        achievements: [],
+      };
+      roles.push(role);
+      pending = [];
+      continue;
+    }
+    if (BULLET.test(line)) {
+      if (role) role.achievements.push(line.replace(BULLET, ""));
+      continue;
+    }
+    if (role && role.achievements.length === 0 && !role.company && line.length <= LIMITS.text) {
+      role.company = line;
+    } else if (role && line.length > 60) {
+      role.achievements.push(line);
+    } else {
+      pending.push(line);
+      if (pending.length > 2) pending.shift();
+    }
+  }
+  return roles;
+}
+
+function parseEducation(lines) {
+  const entries = [];
+  let entry = null;
+  for (const line of lines) {
+    const isInstitution = INSTITUTION.test(line);
+    const isDegree = DEGREE.test(line);
+    if ((isInstitution && entry?.institution) || (isDegree && entry?.degree) || (!entry && (isInstitution || isDegree))) {
+      entry = { institution: "", degree: "", field: "", start_date: "", end_date: "" };
+      entries.push(entry);
+    }
+    if (!entry) continue;
+    const range = DATE_RANGE.exec(line);
+    const year = SINGLE_YEAR.exec(line);
+    const rest = line.replace(range ? range[0] : year ? year[0] : "", "").replace(/[\s,|()–—-]+$/, "").trim();
+    if (range) {
+      entry.start_date = range[1];
+      entry.end_date = PRESENT_PATTERN.test(range[2]) ? "" : range[2];
+    } else if (year) {
+      entry.end_date = year[0];
+    }
+    if (isInstitution && !entry.institution) {
+      entry.institution = rest.split(/\s+[|–—-]\s+|,\s+(?=[A-Z][a-z]+,)/)[0];
+    } else if (isDegree && !entry.degree) {
+      const [degree, field] = rest.split(/\s+in\s+|,\s+/);
+      entry.degree = degree || rest;
+      entry.field = field || "";
+    }
+  }
+  return entries;
+}
+
+function parseSkills(lines) {
+  return lines
+    .flatMap((line) => line.replace(BULLET, "").replace(/^[^:]{1,30}:\s*/, "").split(/[,;|•·]/))
+    .map((skill) => skill.trim())
+    .filter((skill) => skill.length > 1 && skill.length <= LIMITS.skill);
+}
+
+// Heuristic section-by-section parse of plain resume text. Always returns a valid
+// (possibly sparse) resume.
+export function parseResumeText(text) {
+  const lines = String(text || "")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const sections = splitSections(lines);
+  const { contact, headline } = parseHeader(sections.header.slice(0, 8), String(text || ""));
+
+  let skills = parseSkills(sections.skills || []);
+  if (skills.length === 0) {
+    const keywords = extractKeywords(text);
+    skills = [...keywords.tools, ...keywords.skills];
+  }
+
+  const summaryLines = sections.summary || sections.header.slice(0, 8).filter((line) => line.length > 80);
+
+  const { resume } = validateResume({
+    contact,
+    headline,
+    summary: summaryLines.join(" "),
+    roles: parseExperience(sections.experience || []),
+    skills,
+    education: parseEducation(sections.education || []),
+    links: [...String(text || "").replace(new RegExp(EMAIL.source, "gi"), " ").matchAll(URL)].map((m) => m[0]),
+  });
+  return resume;
+}
+
+// ---- Rendering ----
+
+function formatDate(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || "");
+  if (!match) return value || "";
+  const month = MONTHS[Number(match[2]) - 1];
+  return `${month[0].toUpperCase()}${month.slice(1)} ${match[1]}`;
+}
+
+function formatRange(start, end, current) {
+  const to = current ? "Present" : formatDate(end);
+  if (!start) return to;
+  return to ? `${formatDate(start)} - ${to}` : formatDate(start);
+}
+
+function renderBody(resume) {
+  const blocks = [];
+  if (resume.headline) blocks.push(`Headline: ${resume.headline}`);
+  if (resume.summary) blocks.push(`Summary:\n${resume.summary}`);
+  if (resume.roles.length > 0) {
+    const roles = resume.roles.map((role) => {
+      const where = [role.company, role.location].filter(Boolean).join(", ");
+      const dates = formatRange(role.start_date, role.end_date, role.current);
+      const header = [role.title, where].filter(Boolean).join(" - ") + (dates ? ` (${dates})` : "");
+      return [header, ...role.achievements.map((a) => `  - ${a}`)].join("\n");
+    });
+    blocks.push(`Experience:\n${roles.join("\n")}`);
+  }
+  if (resume.skills.length > 0) blocks.push(`Skills: ${resume.skills.join(", ")}`);
+  if (resume.education.length > 0) {
+    const education = resume.education.map((item) => {
+      const degree = [item.degree, item.field].filter(Boolean).join(" in ");
+      const dates = formatRange(item.start_date, item.end_date, false);
+      return `${[degree, item.institution].filter(Boolean).join(", ")}${dates ? ` (${dates})` : ""}`;
+    });
+    blocks.push(`Education:\n${education.join("\n")}`);
+  }
+  return blocks;
+}
+
+// Readable plain-text version shown in the #resume field and kept on letters.
+export function resumeToText(resume) {
+  const contact = resume.contact || {};
+  const header = [
+    contact.full_name,
+    [contact.email, contact.phone, contact.location].filter(Boolean).join(" | "),
+    resume.links.join(" | "),
+  ].filter(Boolean);
+  return [header.join("\n"), ...renderBody(resume)].filter(Boolean).join("\n\n");
+}
+
+// Prompt input: the experience-bearing sections only. The candidate's name reaches the
+// prompt separately (describeCandidate), and contact details are never needed to write.
+export function resumeToPromptText(resume) {
+  return renderBody(resume).join("\n\n");
+}
@@ -0,0 +1,232 @@
+import JSZip from "jszip";
+import pdfParse from "pdf-parse";
+
+// Resume formats accepted by /api/resume-upload, keyed by the format name returned
+// from detectResumeFormat().
+export const RESUME_FORMATS = {
+  pdf: { label: "PDF", extensions: [".pdf"], types: ["application/pdf"] },
+  docx: {
+    label: "Word document",
+    extensions: [".docx"],
+    types: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  },
+  odt: { label: "OpenDocument text", extensions: [".odt"], types: ["application/vnd.oasis.opendocument.text"] },
+  rtf: { label: "RTF document", extensions: [".rtf"], types: ["application/rtf", "text/rtf"] },
+  txt: { label: "text file", extensions: [".txt", ".text", ".md"], types: ["text/plain", "text/markdown"] },
+};
+
+export const SUPPORTED_FORMATS_LABEL = "PDF, DOCX, ODT, RTF or TXT";
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
+
+// Picks the format from the file contents first, falling back to the name and MIME type
+// so a mislabelled upload is still read correctly. Returns null for unsupported files.
+export async function detectResumeFormat(buffer, { name = "", type = "" } = {}) {
+  const fileName = String(name).toLowerCase();
+  const mimeType = String(type).toLowerCase().split(";")[0].trim();
+  const byName = Object.keys(RESUME_FORMATS).find((key) =>
+    RESUME_FORMATS[key].extensions.some((ext) => fileName.endsWith(ext))
+  );
+  const byType = Object.keys(RESUME_FORMATS).find((key) => RESUME_FORMATS[key].types.includes(mimeType));
+
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46])) return "pdf"; // %PDF
+  if (startsWith(buffer, [0x7b, 0x5c, 0x72, 0x74, 0x66])) return "rtf"; // {\rtf
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    // DOCX and ODT are both zip containers; the entries tell them apart.
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      if (zip.file("word/document.xml")) return "docx";
+      if (zip.file("content.xml")) return "odt";
+    } catch (_) {}
+    return null;
+  }
+
+  const guess = byName || byType;
+  // Binary formats without their signature are corrupt or something else entirely.
+  if (guess === "pdf" || guess === "docx" || guess === "odt" || guess === "rtf") return null;
+  if (guess === "txt" || (!byName && mimeType.startsWith("text/"))) return "txt";
+  return null;
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    const key = code.toLowerCase();
+    if (key === "amp") return "&";
+    if (key === "lt") return "<";
+    if (key === "gt") return ">";
+    if (key === "quot") return '"';
+    if (key === "apos") return "'";
+    const point = key.startsWith("#x") ? parseInt(key.slice(2), 16) : parseInt(key.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  });
+}
+
+// Tidies extracted text the same way for every format: normalized line endings,
+// no trailing spaces and at most one blank line between blocks.
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Walks the runs in document order; only <w:t> holds visible text (field codes such as
+// HYPERLINK instructions live in <w:instrText> and are left out).
+function docxXmlToText(xml) {
+  const parts = [];
+  const pattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g;
+  for (const match of xml.matchAll(pattern)) {
+    if (match[1] !== undefined) parts.push(match[1]);
+    else if (match[0] === "<w:tab/>") parts.push("\t");
+    else parts.push("\n");
+  }
+  return decodeXmlEntities(parts.join(""));
+}
+
+function odtXmlToText(xml) {
+  const body = xml.replace(/^[\s\S]*?<office:body>/, "");
+  const text = body
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (_, n) => " ".repeat(Math.min(Number(n), 40)))
+    .replace(/<text:s\s*\/>/g, " ")
+    .replace(/<text:tab\s*\/>/g, "\t")
+    .replace(/<text:line-break\s*\/>/g, "\n")
+    .replace(/<\/text:(p|h)>/g, "\n")
+    .replace(/<[^>]+>/g, "");
+  return decodeXmlEntities(text);
+}
+
+// Groups that hold metadata rather than document text.
+const RTF_SKIP_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "footer",
+  "headerl", "headerr", "footerl", "footerr", "xmlnstbl", "listtable", "listoverridetable",
+  "rsidtbl", "generator", "themedata", "colorschememapping", "latentstyles", "datastore",
+]);
+
+// \'hh escapes are in the document's ANSI code page, which is Windows-1252 for
+// practically every resume.
+const ansiDecoder = new TextDecoder("windows-1252");
+
+// Plain-text conversion covering what word processors emit for resumes: paragraphs,
+// tabs, hex and unicode escapes. Formatting is dropped.
+export function rtfToText(rtf) {
+  const out = [];
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;
+  let pendingSkip = 0;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === "{") {
+      stack.push({ skip, ucSkip });
+      i += 1;
+      if (rtf.startsWith("\\*", i)) skip = true;
+      continue;
+    }
+    if (ch === "}") {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i += 1;
+      continue;
+    }
+    if (ch === "\\") {
+      const next = rtf[i + 1];
+      if (next === "\\" || next === "{" || next === "}") {
+        if (!skip) out.push(next);
+        i += 2;
+        continue;
+      }
+      if (next === "'") {
+        const code = parseInt(rtf.slice(i + 2, i + 4), 16);
+        if (pendingSkip > 0) pendingSkip -= 1;
+        else if (!skip && Number.isFinite(code)) out.push(ansiDecoder.decode(Uint8Array.of(code)));
+        i += 4;
+        continue;
+      }
+      if (next === "\n" || next === "\r") {
+        if (!skip) out.push("\n");
+        i += 2;
+        continue;
+      }
+      const control = /^\\([a-z]+)(-?\d+)? ?|^\\(.)/i.exec(rtf.slice(i, i + 40));
+      if (!control) {
+        i += 1;
+        continue;
+      }
+      i += control[0].length;
+      const word = control[1];
+      if (!word) {
+        // Control symbols: \~ is a non-breaking space, \- and \_ are hyphens.
+        if (!skip && control[3] === "~") out.push(" ");
+        if (!skip && control[3] === "_") out.push("-");
+        continue;
+      }
+      const param = control[2] === undefined ? null : Number(control[2]);
+      if (RTF_SKIP_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (word === "uc") {
+        ucSkip = param ?? 1;
+      } else if (word === "u" && param !== null) {
+        if (!skip) out.push(String.fromCharCode(param < 0 ? param + 65536 : param));
+        pendingSkip = ucSkip;
+      } else if (!skip) {
+        if (word === "par" || word === "line" || word === "row" || word === "sect" || word === "page") out.push("\n");
+        else if (word === "tab" || word === "cell") out.push("\t");
+        else if (word === "emdash") out.push("—");
+        else if (word === "endash") out.push("–");
+        else if (word === "bullet") out.push("•");
+        else if (word === "lquote" || word === "rquote") out.push("'");
+        else if (word === "ldblquote" || word === "rdblquote") out.push('"');
+      }
+      continue;
+    }
+    if (ch === "\r" || ch === "\n") {
+      i += 1;
+      continue;
+    }
+    if (pendingSkip > 0) pendingSkip -= 1;
+    else if (!skip) out.push(ch);
+    i += 1;
+  }
+  return out.join("");
+}
+
+function decodePlainText(buffer) {
+  if (startsWith(buffer, [0xff, 0xfe])) return buffer.subarray(2).toString("utf16le");
+  if (startsWith(buffer, [0xfe, 0xff])) {
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString("utf16le");
+  }
+  return new TextDecoder("utf-8").decode(buffer).replace(/^\ufeff/, "");
+}
+
+// Extracts plain resume text from a supported upload. Throws when the file can't be read.
+export async function extractResumeText(buffer, format) {
+  switch (format) {
+    case "pdf": {
+      const parsed = await pdfParse(buffer);
+      return normalizeText(parsed.text || "");
+    }
+    case "docx": {
+      const zip = await JSZip.loadAsync(buffer);
+      const xml = await zip.file("word/document.xml").async("string");
+      return normalizeText(docxXmlToText(xml));
+    }
+    case "odt": {
+      const zip = await JSZip.loadAsync(buffer);
+      const xml = await zip.file("content.xml").async("string");
+      return normalizeText(odtXmlToText(xml));
+    }
+    case "rtf":
+      return normalizeText(rtfToText(buffer.toString("latin1")));
+    case "txt":
+      return normalizeText(decodePlainText(buffer));
+    default:
+      throw new Error(`Unsupported resume format: ${format}`);
+  }
+}
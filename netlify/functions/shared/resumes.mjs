@@ -0,0 +1,181 @@
+import { getEnv } from "./env.mjs";
+import { resumeToText, validateResume } from "./resume-model.mjs";
+
+const RESUME_COLUMNS = "id, name, is_default, resume_hash, source, data, created_at, updated_at, edited_at";
+const LIST_COLUMNS = "id, name, is_default, source, data, created_at, updated_at";
+const DEFAULT_MAX_RESUMES = 10;
+const MAX_NAME_CHARS = 60;
+
+export function getMaxResumes() {
+  const value = parseInt(getEnv("MAX_RESUMES_PER_USER", String(DEFAULT_MAX_RESUMES)), 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_RESUMES;
+}
+
+// Trimmed display name; returns "" when nothing usable was given.
+export function cleanResumeName(value) {
+  return String(value || "")
+    .replace(/\.(pdf|docx|odt|rtf|txt|text|md)$/i, "")
+    .replace(/[_\s]+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME_CHARS);
+}
+
+// API shape for a stored resume: the structure plus its plain-text rendering. Stored
+// data is re-validated so rows written before a field existed still have every section.
+export function toResumePayload(row) {
+  if (!row) return null;
+  const { resume: data } = validateResume(row.data);
+  return {
+    id: row.id,
+    name: row.name,
+    is_default: row.is_default === true,
+    source: row.source,
+    data,
+    text: resumeToText(data),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    edited_at: row.edited_at,
+  };
+}
+
+function toListItem(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    is_default: row.is_default === true,
+    source: row.source,
+    headline: row.data?.headline || row.data?.roles?.[0]?.title || "",
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+// Library listing: the default first, then most recently updated.
+export async function listResumes(supabase, userId) {
+  const { data, error } = await supabase
+    .from("resumes")
+    .select(LIST_COLUMNS)
+    .eq("user_id", userId)
+    .order("is_default", { ascending: false })
+    .order("updated_at", { ascending: false });
+  if (error) throw new Error(error.message);
+  return (data || []).map(toListItem);
+}
+
+// A specific resume when `resumeId` is given (null if it isn't the user's), otherwise
+// the default, falling back to the most recently updated one.
+export async function loadResume(supabase, userId, resumeId = null) {
+  let query = supabase.from("resumes").select(RESUME_COLUMNS).eq("user_id", userId);
+  query = resumeId
+    ? query.eq("id", resumeId)
+    : query.order("is_default", { ascending: false }).order("updated_at", { ascending: false }).limit(1);
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    console.error("Error loading resume:", error.message);
+    return null;
+  }
+  return data || null;
+}
+
+// `resumeHash` is the hash of the uploaded file's extracted text, so re-uploading the
+// same file reuses the stored structure instead of parsing it again.
+export async function findResumeByHash(supabase, userId, resumeHash) {
+  const { data } = await supabase
+    .from("resumes")
+    .select(RESUME_COLUMNS)
+    .eq("user_id", userId)
+    .eq("resume_hash", resumeHash)
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data || null;
+}
+
+export async function countResumes(supabase, userId) {
+  const { count, error } = await supabase
+    .from("resumes")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId);
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+// Adds a resume to the library (a parsed upload, or one started by hand with no hash).
+// The user's first resume becomes the default. `source` is "ai", "parser" or "manual".
+export async function saveResume(supabase, { userId, resumeHash = null, data, source, name }) {
+  const now = new Date().toISOString();
+  const isFirst = (await countResumes(supabase, userId)) === 0;
+  const { data: row, error } = await supabase
+    .from("resumes")
+    .insert({
+      user_id: userId,
+      name: cleanResumeName(name) || cleanResumeName(data?.headline) || "My resume",
+      is_default: isFirst,
+      resume_hash: resumeHash,
+      data,
+      source,
+      updated_at: now,
+    })
+    .select(RESUME_COLUMNS)
+    .single();
+  if (error) {
+    console.error("Error saving resume:", error.message);
+    return null;
+  }
+  return row;
+}
+
+// Replaces one validated section. Edited resumes keep their upload hash, so uploading
+// the original file again returns the edited version.
+export async function updateResumeSection(supabase, { userId, resume, section, value }) {
+  const now = new Date().toISOString();
+  const { data: row, error } = await supabase
+    .from("resumes")
+    .update({ data: { ...resume.data, [section]: value }, updated_at: now, edited_at: now })
+    .eq("id", resume.id)
+    .eq("user_id", userId)
+    .select(RESUME_COLUMNS)
+    .single();
+  if (error) throw new Error(error.message);
+  return row;
+}
+
+export async function renameResume(supabase, { userId, resumeId, name }) {
+  const { data: row, error } = await supabase
+    .from("resumes")
+    .update({ name })
+    .eq("id", resumeId)
+    .eq("user_id", userId)
+    .select(RESUME_COLUMNS)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return row;
+}
+
+export async function setDefaultResume(supabase, { userId, resumeId }) {
+  const { data, error } = await supabase.rpc("set_default_resume", {
+    p_user_id: userId,
+    p_resume_id: resumeId,
+  });
+  if (error) throw new Error(error.message);
+  return data === true;
+}
+
+// Deletes a resume; when it was the default, the most recently updated remaining
+// resume takes over. Returns false when the resume doesn't exist.
+export async function deleteResume(supabase, { userId, resumeId }) {
+  const { data, error } = await supabase
+    .from("resumes")
+    .delete()
+    .eq("id", resumeId)
+    .eq("user_id", userId)
+    .select("id, is_default");
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) return false;
+
+  if (data[0].is_default) {
+    const next = await loadResume(supabase, userId);
+    if (next) await setDefaultResume(supabase, { userId, resumeId: next.id });
+  }
+  return true;
+}
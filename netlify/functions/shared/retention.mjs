@@ -0,0 +1,33 @@
+import { getEnv } from "./env.mjs";
+
+// Days each kind of stored data is kept, from RETENTION_<KIND>_DAYS. 0 keeps it forever.
+const RETENTION_DEFAULTS = {
+  logs: 30,
+  letters: 90,
+  resumes: 180,
+};
+
+function readDays(kind) {
+  const raw = getEnv(`RETENTION_${kind.toUpperCase()}_DAYS`, String(RETENTION_DEFAULTS[kind]));
+  const days = parseInt(raw, 10);
+  return Number.isFinite(days) && days >= 0 ? days : RETENTION_DEFAULTS[kind];
+}
+
+export function getRetentionPolicy() {
+  return {
+    logs_days: readDays("logs"),
+    letters_days: readDays("letters"),
+    resumes_days: readDays("resumes"),
+  };
+}
+
+// Runs one purge pass and returns the policy with per-table deleted row counts.
+export async function purgeExpiredData(supabase, policy = getRetentionPolicy()) {
+  const { data, error } = await supabase.rpc("purge_expired_data", {
+    p_log_days: policy.logs_days,
+    p_letter_days: policy.letters_days,
+    p_resume_days: policy.resumes_days,
+  });
+  if (error) throw new Error(error.message);
+  return { policy, purged: data || {} };
+}
@@ -17,29 +17,58 @@ export function getSupabaseAdmin() {
   });
 }
 
-export async function getAuthenticatedUser(req) {
+function getBearerToken(req) {
+  const authHeader = req.headers.get("authorization") || "";
+  return authHeader.replace(/^Bearer\s+/i, "");
+}
+
+// Client that acts as the calling user, so table access goes through RLS policies.
+export function getSupabaseForUser(req) {
   if (!supabaseUrl) return null;
 
-  const authHeader = req.headers.get("authorization") || "";
-  const token = authHeader.replace(/^Bearer\s+/i, "");
+  const token = getBearerToken(req);
   if (!token) return null;
 
   const anonKey = getEnv("SUPABASE_ANON_KEY");
   if (!anonKey) return null;
-  const userClient = createClient(supabaseUrl, anonKey, {
+  return createClient(supabaseUrl, anonKey, {
     global: { headers: { Authorization: `Bearer ${token}` } },
     auth: { autoRefreshToken: false, persistSession: false },
   });
+}
+
+export async function getAuthenticatedUser(req) {
+  const userClient = getSupabaseForUser(req);
+  if (!userClient) return null;
 
   const {
     data: { user },
     error,
-  } = await userClient.auth.getUser(token);
+  } = await userClient.auth.getUser(getBearerToken(req));
 
   if (error || !user) return null;
   return user;
 }
 
+// Operators are the users listed in ADMIN_EMAILS (comma-separated) whose email address
+// is confirmed, so nobody can sign up as one.
+export async function getAdminUser(req) {
+  const user = await getAuthenticatedUser(req);
+  if (!user?.email || !user.email_confirmed_at) return null;
+
+  const admins = getEnv("ADMIN_EMAILS")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(user.email.toLowerCase()) ? user : null;
+}
+
+// Emails are stored lower-cased so billing webhooks can match them exactly.
+export function normalizeEmail(value) {
+  const email = String(value || "").trim().toLowerCase();
+  return email || null;
+}
+
 const FREE_GENERATION_LIMIT = 3;
 
 export function getFreeLimit() {
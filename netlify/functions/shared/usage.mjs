@@ -0,0 +1,145 @@
+import { getFreeLimit, normalizeEmail } from "./supabase.mjs";
+import { ENTITLEMENT_COLUMNS, computeEntitlement } from "./entitlement.mjs";
+import { getCheckoutProvider } from "./billing.mjs";
+import { getPlan } from "./plans.mjs";
+
+// Prices live in the plan catalogue (/api/config), which the paywall shows next to this;
+// letter packs are only mentioned when the checkout provider sells them.
+export function getLockedMessage() {
+  const provider = getCheckoutProvider();
+  return provider?.supportsPlan(getPlan("credits"))
+    ? "Unlock the full letter with a subscription or a letter pack."
+    : "Subscribe to unlock the full letter and unlimited generations.";
+}
+
+// Ensures the profile row exists, then atomically reserves `cost` generations in the
+// `usage_events` ledger. Past the free limit, unsubscribed users spend purchased credits
+// before the result is locked. The reservation must be settled with commitGeneration or
+// refundGeneration. Throws when the ledger is unreachable so callers fail closed.
+export async function reserveGeneration(supabase, user, { kind = "generation", cost = 1 } = {}) {
+  await supabase
+    .from("profiles")
+    .upsert(
+      {
+        id: user.id,
+        email: normalizeEmail(user.email),
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "id" }
+    );
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select(ENTITLEMENT_COLUMNS)
+    .eq("id", user.id)
+    .maybeSingle();
+
+  const freeLimit = getFreeLimit();
+  const { data, error } = await supabase.rpc("reserve_generation", {
+    p_user_id: user.id,
+    p_kind: kind,
+    p_cost: cost,
+    p_free_limit: freeLimit,
+    p_subscribed: computeEntitlement(profile).isPro,
+  });
+  if (error || !data?.reservation_id) {
+    throw new Error("Usage reservation failed: " + (error?.message || "no reservation returned"));
+  }
+
+  const generationsUsed = Number(data.generations_used) || 0;
+  return {
+    reservationId: data.reservation_id,
+    generationsUsed,
+    isSubscribed: data.is_subscribed === true,
+    freeLimit,
+    freeRemaining: Math.max(0, freeLimit - generationsUsed),
+    lockPreviewOnly: data.lock_preview_only === true,
+    fundedBy: data.funded_by || "allowance",
+    creditsRemaining: Number(data.credits_remaining) || 0,
+  };
+}
+
+// Commits the reservation and returns the server-side generations_used total.
+export async function commitGeneration(supabase, user, usage, { cost, provider = null, model = null } = {}) {
+  const { data: committedCount, error } = await supabase.rpc("commit_generation", {
+    p_reservation_id: usage.reservationId,
+    p_cost: cost ?? null,
+  });
+  if (error) {
+    console.error("Error committing usage reservation:", error.message);
+  }
+  const newCount = Number.isFinite(committedCount) ? committedCount : usage.generationsUsed + (cost ?? 1);
+
+  await supabase.from("generation_logs").insert({
+    user_email: user.email,
+    user_id: user.id,
+    success: true,
+    generations_at_request: newCount,
+    provider,
+    model,
+  });
+
+  return newCount;
+}
+
+export async function refundGeneration(supabase, user, usage, errorMessage) {
+  const { error } = await supabase.rpc("refund_generation", {
+    p_reservation_id: usage.reservationId,
+    p_reason: String(errorMessage || "").slice(0, 500),
+  });
+  if (error) {
+    console.error("Error refunding usage reservation:", error.message);
+  }
+
+  await supabase.from("generation_logs").insert({
+    user_email: user.email,
+    user_id: user.id,
+    success: false,
+    generations_at_request: usage.generationsUsed,
+    error_message: errorMessage,
+  });
+}
+
+export function buildLockedPreview(text, ratio = 0.5) {
+  const src = String(text || "").trim();
+  if (!src) return "";
+
+  const safeRatio = Math.min(0.6, Math.max(0.4, ratio));
+  const cut = Math.max(160, Math.floor(src.length * safeRatio));
+  let preview = src.slice(0, cut);
+  const sentenceBreak = Math.max(preview.lastIndexOf(". "), preview.lastIndexOf("\n\n"));
+  if (sentenceBreak > 120) {
+    preview = preview.slice(0, sentenceBreak + 1);
+  }
+  return preview.trim();
+}
+
+// Response body shared by every endpoint that hands a letter back to the user.
+// Locked callers pass `{ preview, letter_id }` in `extra` when they generated a dedicated
+// teaser; otherwise the preview is cut from `fullText`.
+export function buildAccessPayload(usage, newCount, fullText, extra = {}) {
+  if (usage.lockPreviewOnly) {
+    return {
+      text: "",
+      preview: extra.preview ?? buildLockedPreview(fullText, 0.5),
+      letter_id: extra.letter_id ?? null,
+      full_access: false,
+      locked: true,
+      message: getLockedMessage(),
+      generations_used: newCount,
+      free_limit: usage.freeLimit,
+      free_remaining: 0,
+      credits_remaining: 0,
+    };
+  }
+  return {
+    text: fullText,
+    ...extra,
+    full_access: true,
+    locked: false,
+    generations_used: newCount,
+    free_limit: usage.freeLimit,
+    free_remaining: usage.isSubscribed ? null : Math.max(0, usage.freeLimit - newCount),
+    credits_remaining: usage.isSubscribed ? null : usage.creditsRemaining,
+  };
+}
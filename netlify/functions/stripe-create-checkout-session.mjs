@@ -1,15 +1,12 @@
-import Stripe from "stripe";
-import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { getAuthenticatedUser, getSupabaseAdmin, normalizeEmail } from "./shared/supabase.mjs";
 import { getEnv } from "./shared/env.mjs";
 import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { getCheckoutProvider } from "./shared/billing.mjs";
+import { DEFAULT_PLAN_ID, getPlan, getTrialDays, isTrialEligible, normalizePromoCode } from "./shared/plans.mjs";
 
-function appendIfValue(params, key, value) {
-  if (value === undefined || value === null) return;
-  const s = String(value).trim();
-  if (!s) return;
-  params.set(key, s);
-}
-
+// POST { plan, promo } starts a checkout for one of the plans listed by /api/config
+// (default "monthly"). `promo` is a campaign code from a `?promo=` landing URL; first-time
+// subscribers get the TRIAL_DAYS trial.
 export default async (req) => {
   try {
     if (req.method === "OPTIONS") {
@@ -34,32 +31,26 @@ export default async (req) => {
       return jsonResponse(500, { error: "Missing SITE_URL/URL for checkout redirect URLs" });
     }
 
-    // Lemon Squeezy path (preferred when configured).
-    const lemonCheckoutUrl = getEnv("LEMON_CHECKOUT_URL");
-    if (lemonCheckoutUrl) {
-      try {
-        const u = new URL(lemonCheckoutUrl);
-        appendIfValue(u.searchParams, "checkout[email]", user.email);
-        appendIfValue(u.searchParams, "checkout[custom][user_id]", user.id);
-        appendIfValue(u.searchParams, "checkout[custom][user_email]", user.email);
-        appendIfValue(u.searchParams, "checkout[success_url]", `${siteUrl}/?checkout=success&paid=1`);
-        appendIfValue(u.searchParams, "checkout[cancel_url]", `${siteUrl}/`);
-        return jsonResponse(200, { url: u.toString(), provider: "lemon" });
-      } catch (_) {
-        return jsonResponse(500, { error: "LEMON_CHECKOUT_URL is invalid." });
-      }
+    let body = {};
+    try {
+      const raw = await req.text();
+      body = raw ? JSON.parse(raw) : {};
+    } catch (_) {
+      return jsonResponse(400, { error: "Invalid JSON body" });
     }
 
-    // Stripe path.
-    const stripeSecretKey = getEnv("STRIPE_SECRET_KEY");
-    const priceId = getEnv("STRIPE_PRICE_ID");
-    if (!stripeSecretKey || !priceId) {
+    // Lemon Squeezy is preferred when configured, otherwise Stripe.
+    const provider = getCheckoutProvider();
+    if (!provider) {
       return jsonResponse(500, {
         error: "Missing checkout env. Set LEMON_CHECKOUT_URL or STRIPE_SECRET_KEY + STRIPE_PRICE_ID.",
       });
     }
 
-    const stripe = new Stripe(stripeSecretKey);
+    const plan = getPlan(body.plan || DEFAULT_PLAN_ID);
+    if (!plan || !provider.supportsPlan(plan)) {
+      return jsonResponse(400, { error: "unknown_plan", message: "That plan is not available." });
+    }
 
     let profile = null;
     try {
@@ -69,16 +60,15 @@ export default async (req) => {
         .upsert(
           {
             id: user.id,
-            email: user.email || null,
+            email: normalizeEmail(user.email),
             updated_at: new Date().toISOString(),
           },
           { onConflict: "id" }
-        )
-        .catch(() => {});
+        );
 
       const profileRes = await supabase
         .from("profiles")
-        .select("stripe_customer_id")
+        .select("stripe_customer_id, stripe_subscription_id, lemon_subscription_id, subscription_status")
         .eq("id", user.id)
         .single();
       profile = profileRes?.data || null;
@@ -86,28 +76,9 @@ export default async (req) => {
       // Continue without profile optimization if Supabase admin env is unavailable.
     }
 
-    const sessionParams = {
-      mode: "subscription",
-      payment_method_types: ["card"],
-      line_items: [{ price: priceId, quantity: 1 }],
-      client_reference_id: user.id,
-      metadata: { user_id: user.id },
-      success_url: `${siteUrl}/api/stripe/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${siteUrl}/`,
-    };
-
-    // Reuse existing Stripe customer if available
-    if (profile?.stripe_customer_id) {
-      sessionParams.customer = profile.stripe_customer_id;
-    } else {
-      sessionParams.customer_email = user.email;
-    }
-
-    const session = await stripe.checkout.sessions.create(sessionParams);
-    if (!session.url) {
-      return jsonResponse(500, { error: "Stripe checkout did not return a redirect URL." });
-    }
-    return jsonResponse(200, { url: session.url });
+    const trialDays = plan.kind === "subscription" && profile && isTrialEligible(profile) ? getTrialDays() : 0;
+    const promo = normalizePromoCode(body.promo);
+    return jsonResponse(200, await provider.createCheckout({ user, profile, siteUrl, plan, promo, trialDays }));
   } catch (err) {
     return jsonResponse(500, { error: err?.message || "Checkout session failed" });
   }
@@ -0,0 +1,58 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { getEnv } from "./shared/env.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { getProfileBillingProvider } from "./shared/billing.mjs";
+
+// Self-serve subscription management: a Stripe billing portal session for the stored
+// customer, or the Lemon Squeezy customer portal when Lemon owns the subscription.
+export default async (req) => {
+  try {
+    if (req.method === "OPTIONS") {
+      return optionsResponse();
+    }
+
+    if (req.method !== "POST") {
+      return jsonResponse(405, { error: "Method not allowed" });
+    }
+
+    const user = await getAuthenticatedUser(req);
+    if (!user) {
+      return jsonResponse(401, { error: "Not authenticated" });
+    }
+
+    const rawSiteUrl = getEnv("SITE_URL") || getEnv("URL") || req.headers.get("origin") || "";
+    let siteUrl = "";
+    try {
+      siteUrl = new URL(rawSiteUrl).origin;
+    } catch (_) {}
+    if (!siteUrl) {
+      return jsonResponse(500, { error: "Missing SITE_URL/URL for the portal return URL" });
+    }
+
+    const { data: profile, error } = await getSupabaseAdmin()
+      .from("profiles")
+      .select("billing_provider, stripe_customer_id, lemon_subscription_id, plan_id")
+      .eq("id", user.id)
+      .maybeSingle();
+    if (error) {
+      return jsonResponse(500, { error: error.message });
+    }
+
+    const provider = profile ? getProfileBillingProvider(profile) : null;
+    const portal = provider ? await provider.createPortal({ profile, returnUrl: `${siteUrl}/` }) : null;
+    if (!portal) {
+      return jsonResponse(404, {
+        error: "no_subscription",
+        message: "There is no subscription to manage on this account.",
+      });
+    }
+
+    return jsonResponse(200, portal);
+  } catch (err) {
+    return jsonResponse(500, { error: err?.message || "Could not open the billing portal" });
+  }
+};
+
+export const config = {
+  path: "/api/stripe/portal",
+};
@@ -1,6 +1,6 @@
-import Stripe from "stripe";
 import { getSupabaseAdmin } from "./shared/supabase.mjs";
 import { getEnv } from "./shared/env.mjs";
+import { applyBillingEvent, getBillingProvider } from "./shared/billing.mjs";
 
 function redirect(location) {
   return new Response(null, {
@@ -44,88 +44,30 @@ export default async (req) => {
     return redirect(`${siteUrl}/?checkout=error&reason=missing_session_id`);
   }
 
-  const stripe = new Stripe(stripeSecretKey);
   const supabase = getSupabaseAdmin();
 
+  let normalized;
   try {
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    const customerId = session.customer || null;
-    const subscriptionId = session.subscription || null;
-    const checkoutEmail = session.customer_details?.email || session.customer_email || null;
-
-    let userId = session.client_reference_id || session.metadata?.user_id || null;
-
-    if (!userId && checkoutEmail) {
-      const { data: emailProfile } = await supabase
-        .from("profiles")
-        .select("id")
-        .ilike("email", checkoutEmail)
-        .maybeSingle();
-      if (emailProfile?.id) userId = emailProfile.id;
-    }
-
-    if (!userId && customerId) {
-      const { data: customerProfile } = await supabase
-        .from("profiles")
-        .select("id")
-        .eq("stripe_customer_id", customerId)
-        .maybeSingle();
-      if (customerProfile?.id) userId = customerProfile.id;
-    }
+    normalized = await getBillingProvider("stripe").completeCheckout(sessionId);
+  } catch (_) {
+    return redirect(`${siteUrl}/?checkout=error&reason=session_lookup_failed`);
+  }
 
-    if (!userId && subscriptionId) {
-      const { data: subProfile } = await supabase
-        .from("profiles")
-        .select("id")
-        .eq("stripe_subscription_id", subscriptionId)
-        .maybeSingle();
-      if (subProfile?.id) userId = subProfile.id;
-    }
+  if (normalized.ignored) {
+    return redirect(`${siteUrl}/?checkout=error&reason=${normalized.ignored}`);
+  }
 
-    if (!userId) {
+  try {
+    const { matched } = await applyBillingEvent(supabase, normalized);
+    if (!matched) {
       return redirect(`${siteUrl}/?checkout=unmatched`);
     }
-
-    let subscriptionStatus = "active";
-    let isPro = true;
-    let currentPeriodEnd = null;
-    let planId = null;
-
-    if (subscriptionId) {
-      try {
-        const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-        const status = String(subscription.status || "active").toLowerCase();
-        subscriptionStatus = status;
-        isPro = status === "active" || status === "trialing";
-        currentPeriodEnd = subscription.current_period_end
-          ? new Date(subscription.current_period_end * 1000).toISOString()
-          : null;
-        planId = subscription.items?.data?.[0]?.price?.id || null;
-      } catch (_) {}
-    }
-
-    await supabase
-      .from("profiles")
-      .upsert(
-        {
-          id: userId,
-          email: checkoutEmail,
-          is_pro: isPro,
-          subscription_status: subscriptionStatus,
-          stripe_customer_id: customerId,
-          stripe_subscription_id: subscriptionId,
-          current_period_end: currentPeriodEnd,
-          plan_id: planId,
-          updated_at: new Date().toISOString(),
-        },
-        { onConflict: "id" }
-      )
-      .catch(() => {});
-
-    return redirect(`${siteUrl}/?checkout=success&paid=1`);
-  } catch (_) {
-    return redirect(`${siteUrl}/?checkout=error&reason=session_lookup_failed`);
+  } catch (err) {
+    // The webhook applies the same session, so the user still gets access.
+    console.error("Error applying checkout session:", err.message);
   }
+
+  return redirect(`${siteUrl}/?checkout=success&paid=1`);
 };
 
 export const config = {
@@ -0,0 +1,167 @@
+import { getAuthenticatedUser, getSupabaseAdmin } from "./shared/supabase.mjs";
+import { jsonResponse, optionsResponse } from "./shared/http.mjs";
+import { completeWithFallback, describeGenerationError } from "./shared/providers.mjs";
+import {
+  commitGeneration,
+  getLockedMessage,
+  refundGeneration,
+  reserveGeneration,
+} from "./shared/usage.mjs";
+import { ENTITLEMENT_COLUMNS, computeEntitlement } from "./shared/entitlement.mjs";
+import { getCreditBalance } from "./shared/credits.mjs";
+import { buildUnlockPrompt } from "./shared/prompts.mjs";
+import { enforceRateLimit } from "./shared/rate-limit.mjs";
+import { applySignature, describeCandidate, loadContact } from "./shared/contact.mjs";
+
+const LETTER_COLUMNS = "id, user_id, locked, job_description, resume_text, tone, model, text";
+
+// Turns a locked teaser from /api/generate into the full letter once the user subscribes
+// or buys credits (one credit per unlock). The teaser stays as the letter's opening, so
+// the user gets the letter they previewed.
+export default async (req, context) => {
+  if (req.method === "OPTIONS") {
+    return optionsResponse();
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(405, { error: "Method not allowed" });
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return jsonResponse(401, { error: "Not authenticated" });
+  }
+
+  const limited = await enforceRateLimit(req, context, { route: "unlock", user });
+  if (limited) return limited;
+
+  const letterId = context?.params?.id || null;
+  if (!letterId) {
+    return jsonResponse(400, { error: "Letter id is required" });
+  }
+
+  const supabase = getSupabaseAdmin();
+  const { data: letter, error: letterError } = await supabase
+    .from("letters")
+    .select(LETTER_COLUMNS)
+    .eq("id", letterId)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (letterError) {
+    return jsonResponse(500, { error: letterError.message });
+  }
+  if (!letter) {
+    return jsonResponse(404, { error: "Letter not found" });
+  }
+  if (!letter.locked) {
+    return jsonResponse(200, { letter_id: letter.id, text: letter.text, locked: false, full_access: true });
+  }
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select(ENTITLEMENT_COLUMNS)
+    .eq("id", user.id)
+    .maybeSingle();
+  const upgradeRequired = () =>
+    jsonResponse(402, { error: "upgrade_required", message: getLockedMessage(), letter_id: letter.id });
+  if (!computeEntitlement(profile).isPro && (await getCreditBalance(supabase, user.id)) < 1) {
+    return upgradeRequired();
+  }
+  if (!letter.resume_text || !letter.job_description) {
+    return jsonResponse(409, { error: "This preview can no longer be unlocked. Please generate the letter again." });
+  }
+
+  let usage;
+  try {
+    usage = await reserveGeneration(supabase, user, { kind: "unlock" });
+  } catch (err) {
+    console.error(err.message);
+    return jsonResponse(503, { error: "Usage service unavailable. Please retry in a moment." });
+  }
+  if (usage.lockPreviewOnly) {
+    await refundGeneration(supabase, user, usage, "upgrade_required");
+    return upgradeRequired();
+  }
+
+  const contact = await loadContact(supabase, user.id);
+  const prompt = buildUnlockPrompt(
+    letter.job_description,
+    letter.resume_text,
+    letter.tone,
+    letter.text,
+    describeCandidate(contact)
+  );
+
+  try {
+    const { text: rawText, provider, model, error } = await completeWithFallback({
+      backendBody: {
+        jobDescription: letter.job_description,
+        resume: letter.resume_text,
+        tone: letter.tone,
+        systemPrompt: prompt,
+      },
+      prompt,
+      temperature: 0.7,
+    });
+
+    if (!rawText) {
+      const unlockError = describeGenerationError(error);
+      await refundGeneration(supabase, user, usage, unlockError);
+      return jsonResponse(502, { error: unlockError });
+    }
+
+    const text = applySignature(rawText, contact);
+
+    // Only the first concurrent unlock wins; the resume copy is dropped once it is used.
+    // The reservation is committed only when this request unlocked the letter, so a failed
+    // write or a lost race is not charged.
+    const { data: updated, error: updateError } = await supabase
+      .from("letters")
+      .update({
+        text,
+        model,
+        locked: false,
+        resume_text: null,
+        unlocked_at: new Date().toISOString(),
+      })
+      .eq("id", letter.id)
+      .eq("locked", true)
+      .select("id, text");
+    if (updateError) {
+      await refundGeneration(supabase, user, usage, "Could not save unlocked letter: " + updateError.message);
+      return jsonResponse(500, { error: updateError.message });
+    }
+
+    if (!updated || updated.length === 0) {
+      await refundGeneration(supabase, user, usage, "Letter was already unlocked");
+      const { data: current } = await supabase.from("letters").select("text").eq("id", letter.id).maybeSingle();
+      return jsonResponse(200, {
+        letter_id: letter.id,
+        text: current?.text || text,
+        locked: false,
+        full_access: true,
+        generations_used: usage.generationsUsed,
+        credits_remaining: usage.isSubscribed ? null : await getCreditBalance(supabase, user.id),
+      });
+    }
+
+    const newCount = await commitGeneration(supabase, user, usage, { provider, model });
+    return jsonResponse(200, {
+      letter_id: letter.id,
+      text,
+      locked: false,
+      full_access: true,
+      generations_used: newCount,
+      credits_remaining: usage.isSubscribed ? null : usage.creditsRemaining,
+      provider,
+      model,
+    });
+  } catch (err) {
+    await refundGeneration(supabase, user, usage, "Backend unavailable: " + err.message);
+    return jsonResponse(502, { error: "Backend unavailable: " + err.message });
+  }
+};
+
+export const config = {
+  path: "/api/letters/:id/unlock",
+};
@@ -45,6 +45,17 @@ create table if not exists public.generation_logs (
   error_message text
 );
 
+-- 2b. Record which AI provider/model served each generation (idempotent)
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='generation_logs' and column_name='provider') then
+    alter table public.generation_logs add column provider text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='generation_logs' and column_name='model') then
+    alter table public.generation_logs add column model text;
+  end if;
+end $$;
+
 -- 3. Enable Row Level Security
 alter table public.profiles enable row level security;
 alter table public.generation_logs enable row level security;
@@ -81,22 +92,773 @@ create policy "Service role only logs"
   using (auth.role() = 'service_role')
   with check (auth.role() = 'service_role');
 
--- 5. Function to increment generation count
+-- 5. Function to increment generation count (records a committed usage event, see section 9)
 create or replace function public.increment_generations(p_user_id uuid)
 returns integer as $$
+begin
+  insert into public.usage_events (user_id, kind, cost, status, settled_at)
+  values (p_user_id, 'generation', 1, 'committed', now());
+  return public.refresh_generations_used(p_user_id);
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+-- 6. Grant execute on the function to server-only role
+revoke execute on function public.increment_generations(uuid) from authenticated;
+grant execute on function public.increment_generations(uuid) to service_role;
+
+-- 7. Generated letters history (read/delete by owner, written server-side)
+create table if not exists public.letters (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  parent_id uuid references public.letters(id) on delete set null,
+  job_description text,
+  resume_hash text,
+  tone text,
+  model text,
+  text text not null,
+  created_at timestamptz default now()
+);
+
+create index if not exists letters_user_id_created_at_idx on public.letters(user_id, created_at desc);
+
+alter table public.letters enable row level security;
+
+drop policy if exists "Users can view own letters" on public.letters;
+drop policy if exists "Users can delete own letters" on public.letters;
+drop policy if exists "Service role only letters" on public.letters;
+
+create policy "Users can view own letters"
+  on public.letters for select
+  using (auth.uid() = user_id);
+
+create policy "Users can delete own letters"
+  on public.letters for delete
+  using (auth.uid() = user_id);
+
+create policy "Service role only letters"
+  on public.letters for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- 8. AI provider circuit breaker state (shared across function invocations)
+create table if not exists public.provider_health (
+  provider text primary key,
+  consecutive_failures integer not null default 0,
+  opened_until timestamptz,
+  last_error text,
+  last_failure_at timestamptz,
+  updated_at timestamptz default now()
+);
+
+alter table public.provider_health enable row level security;
+
+drop policy if exists "Service role only provider health" on public.provider_health;
+
+create policy "Service role only provider health"
+  on public.provider_health for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- Records one call outcome atomically; opens the circuit after p_threshold consecutive failures.
+create or replace function public.record_provider_result(
+  p_provider text,
+  p_success boolean,
+  p_error text,
+  p_threshold integer,
+  p_cooldown_seconds integer
+)
+returns public.provider_health as $$
+declare
+  result public.provider_health;
+begin
+  insert into public.provider_health as h (provider, consecutive_failures, last_error, last_failure_at, updated_at)
+  values (p_provider, 0, null, null, now())
+  on conflict (provider) do nothing;
+
+  update public.provider_health as h
+  set consecutive_failures = case when p_success then 0 else h.consecutive_failures + 1 end,
+      opened_until = case
+        when p_success then null
+        when h.consecutive_failures + 1 >= p_threshold then now() + make_interval(secs => p_cooldown_seconds)
+        else h.opened_until
+      end,
+      last_error = case when p_success then h.last_error else p_error end,
+      last_failure_at = case when p_success then h.last_failure_at else now() end,
+      updated_at = now()
+  where h.provider = p_provider
+  returning * into result;
+  return result;
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.record_provider_result(text, boolean, text, integer, integer) from public, anon, authenticated;
+grant execute on function public.record_provider_result(text, boolean, text, integer, integer) to service_role;
+
+-- 9. Usage ledger: every generation is reserved before the AI call, then committed or refunded.
+-- profiles.generations_used is a cache of the committed total, refreshed by these functions.
+create table if not exists public.usage_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null default 'generation',
+  cost integer not null default 1,
+  status text not null default 'reserved' check (status in ('reserved', 'committed', 'refunded', 'expired')),
+  locked boolean default false,
+  reason text,
+  created_at timestamptz default now(),
+  settled_at timestamptz
+);
+
+create index if not exists usage_events_user_id_status_idx on public.usage_events(user_id, status);
+
+alter table public.usage_events enable row level security;
+
+drop policy if exists "Users can view own usage events" on public.usage_events;
+drop policy if exists "Service role only usage events" on public.usage_events;
+
+create policy "Users can view own usage events"
+  on public.usage_events for select
+  using (auth.uid() = user_id);
+
+create policy "Service role only usage events"
+  on public.usage_events for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- Carry pre-ledger counters over as a single committed baseline event (idempotent).
+insert into public.usage_events (user_id, kind, cost, status, reason, settled_at)
+select p.id, 'baseline', p.generations_used, 'committed', 'pre-ledger generations_used', now()
+from public.profiles p
+where coalesce(p.generations_used, 0) > 0
+  and not exists (select 1 from public.usage_events e where e.user_id = p.id);
+
+create or replace function public.refresh_generations_used(p_user_id uuid)
+returns integer as $$
 declare
   new_count integer;
 begin
+  select coalesce(sum(cost), 0) into new_count
+  from public.usage_events
+  where user_id = p_user_id and status = 'committed';
+
   update public.profiles
-  set generations_used = generations_used + 1,
+  set generations_used = new_count,
       updated_at = now()
-  where id = p_user_id
-  returning generations_used into new_count;
+  where id = p_user_id;
   return new_count;
 end;
 $$ language plpgsql security definer
 set search_path = public;
 
--- 6. Grant execute on the function to server-only role
-revoke execute on function public.increment_generations(uuid) from authenticated;
-grant execute on function public.increment_generations(uuid) to service_role;
+-- reserve_generation, which opens a reservation in this ledger, is defined once in
+-- section 18 after every column it uses exists.
+
+-- Commits a reservation, optionally with the final cost (e.g. fewer drafts than requested).
+create or replace function public.commit_generation(p_reservation_id uuid, p_cost integer default null)
+returns integer as $$
+declare
+  v_user_id uuid;
+begin
+  update public.usage_events
+  set status = 'committed',
+      cost = coalesce(greatest(p_cost, 0), cost),
+      settled_at = now()
+  where id = p_reservation_id and status = 'reserved'
+  returning user_id into v_user_id;
+
+  if v_user_id is null then
+    select user_id into v_user_id from public.usage_events where id = p_reservation_id;
+  end if;
+  if v_user_id is null then
+    return null;
+  end if;
+  return public.refresh_generations_used(v_user_id);
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+create or replace function public.refund_generation(p_reservation_id uuid, p_reason text default null)
+returns integer as $$
+declare
+  v_user_id uuid;
+begin
+  update public.usage_events
+  set status = 'refunded',
+      reason = p_reason,
+      settled_at = now()
+  where id = p_reservation_id and status = 'reserved'
+  returning user_id into v_user_id;
+
+  if v_user_id is null then
+    select user_id into v_user_id from public.usage_events where id = p_reservation_id;
+  end if;
+  if v_user_id is null then
+    return null;
+  end if;
+  return public.refresh_generations_used(v_user_id);
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.refresh_generations_used(uuid) from public, anon, authenticated;
+revoke execute on function public.commit_generation(uuid, integer) from public, anon, authenticated;
+revoke execute on function public.refund_generation(uuid, text) from public, anon, authenticated;
+grant execute on function public.refresh_generations_used(uuid) to service_role;
+grant execute on function public.commit_generation(uuid, integer) to service_role;
+grant execute on function public.refund_generation(uuid, text) to service_role;
+
+-- 10. Locked previews: over-limit users only get a generated opening paragraph. The letter row
+-- keeps the inputs (resume_text is held only while locked) so it can be completed on unlock.
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='letters' and column_name='locked') then
+    alter table public.letters add column locked boolean not null default false;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='letters' and column_name='resume_text') then
+    alter table public.letters add column resume_text text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='letters' and column_name='unlocked_at') then
+    alter table public.letters add column unlocked_at timestamptz;
+  end if;
+end $$;
+
+-- 11. Rate limiting: sliding-window hit log shared by all functions (see shared/rate-limit.mjs).
+create table if not exists public.rate_limit_hits (
+  id bigint generated always as identity primary key,
+  key text not null,
+  route text not null,
+  hit_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_route_hit_at_idx on public.rate_limit_hits(key, route, hit_at);
+create index if not exists rate_limit_hits_hit_at_idx on public.rate_limit_hits(hit_at);
+
+alter table public.rate_limit_hits enable row level security;
+
+drop policy if exists "Service role only rate limit hits" on public.rate_limit_hits;
+
+create policy "Service role only rate limit hits"
+  on public.rate_limit_hits for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- Counts hits for (p_key, p_route) in the last p_window_seconds and records this one if allowed.
+-- The advisory lock serializes concurrent checks for the same key and route.
+create or replace function public.check_rate_limit(
+  p_key text,
+  p_route text,
+  p_limit integer,
+  p_window_seconds integer
+)
+returns jsonb as $$
+declare
+  v_window_start timestamptz := now() - make_interval(secs => p_window_seconds);
+  v_count integer;
+  v_oldest timestamptz;
+begin
+  perform pg_advisory_xact_lock(hashtext(p_route || ':' || p_key));
+
+  delete from public.rate_limit_hits
+  where key = p_key and route = p_route and hit_at < v_window_start;
+
+  -- Occasionally sweep hits from keys that stopped calling.
+  if random() < 0.01 then
+    delete from public.rate_limit_hits where hit_at < now() - interval '1 day';
+  end if;
+
+  select count(*), min(hit_at) into v_count, v_oldest
+  from public.rate_limit_hits
+  where key = p_key and route = p_route;
+
+  if v_count >= p_limit then
+    return jsonb_build_object(
+      'allowed', false,
+      'remaining', 0,
+      'retry_after_seconds', greatest(1, ceil(extract(epoch from (v_oldest + make_interval(secs => p_window_seconds) - now()))))
+    );
+  end if;
+
+  insert into public.rate_limit_hits (key, route) values (p_key, p_route);
+  return jsonb_build_object('allowed', true, 'remaining', p_limit - v_count - 1, 'retry_after_seconds', 0);
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.check_rate_limit(text, text, integer, integer) from public, anon, authenticated;
+grant execute on function public.check_rate_limit(text, text, integer, integer) to service_role;
+
+-- 12. Candidate contact details used in letter signatures and export letterheads (idempotent)
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='full_name') then
+    alter table public.profiles add column full_name text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='contact_email') then
+    alter table public.profiles add column contact_email text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='phone') then
+    alter table public.profiles add column phone text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='location') then
+    alter table public.profiles add column location text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='linkedin_url') then
+    alter table public.profiles add column linkedin_url text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='portfolio_url') then
+    alter table public.profiles add column portfolio_url text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='sign_off') then
+    alter table public.profiles add column sign_off text;
+  end if;
+end $$;
+
+-- 13. Structured resumes (validated JSON, see shared/resume-model.mjs). Readable and
+-- deletable by the owner; parsing and section edits are written server-side.
+create table if not exists public.resumes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  resume_hash text,
+  source text not null default 'parser' check (source in ('ai', 'parser', 'manual')),
+  data jsonb not null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  edited_at timestamptz
+);
+
+create index if not exists resumes_user_id_updated_at_idx on public.resumes(user_id, updated_at desc);
+create index if not exists resumes_user_id_hash_idx on public.resumes(user_id, resume_hash);
+
+alter table public.resumes enable row level security;
+
+drop policy if exists "Users can view own resumes" on public.resumes;
+drop policy if exists "Users can delete own resumes" on public.resumes;
+drop policy if exists "Service role only resumes" on public.resumes;
+
+create policy "Users can view own resumes"
+  on public.resumes for select
+  using (auth.uid() = user_id);
+
+create policy "Users can delete own resumes"
+  on public.resumes for delete
+  using (auth.uid() = user_id);
+
+create policy "Service role only resumes"
+  on public.resumes for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- 14. Resume library: users keep several named resumes and pick one per generation.
+-- At most one resume per user is the default (used when no resume_id is sent).
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='resumes' and column_name='name') then
+    alter table public.resumes add column name text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='resumes' and column_name='is_default') then
+    alter table public.resumes add column is_default boolean not null default false;
+  end if;
+end $$;
+
+-- Existing single resumes become each user's default (idempotent).
+update public.resumes r
+set is_default = true
+where r.id in (
+  select distinct on (user_id) id
+  from public.resumes
+  order by user_id, updated_at desc
+)
+and not exists (select 1 from public.resumes d where d.user_id = r.user_id and d.is_default);
+
+update public.resumes set name = 'My resume' where name is null;
+
+create unique index if not exists resumes_one_default_per_user on public.resumes(user_id) where is_default;
+
+-- Makes p_resume_id the user's only default. Clearing and setting happen in one
+-- transaction so the unique index never sees two defaults.
+create or replace function public.set_default_resume(p_user_id uuid, p_resume_id uuid)
+returns boolean as $$
+begin
+  if not exists (select 1 from public.resumes where id = p_resume_id and user_id = p_user_id) then
+    return false;
+  end if;
+  update public.resumes set is_default = false where user_id = p_user_id and is_default and id <> p_resume_id;
+  update public.resumes set is_default = true where id = p_resume_id;
+  return true;
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.set_default_resume(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.set_default_resume(uuid, uuid) to service_role;
+
+-- 15. Data retention and account deletion (see shared/retention.mjs and shared/account.mjs).
+-- Lemon Squeezy subscription ids are kept so a deleted account's subscription can be cancelled.
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='lemon_subscription_id') then
+    alter table public.profiles add column lemon_subscription_id text;
+  end if;
+end $$;
+
+create index if not exists generation_logs_created_at_idx on public.generation_logs(created_at);
+create index if not exists generation_logs_user_id_idx on public.generation_logs(user_id);
+create index if not exists letters_created_at_idx on public.letters(created_at);
+
+-- Deletes data older than each TTL (in days; 0 or null keeps that category forever) and
+-- returns how many rows went. Resume TTLs count from the last edit, and a user whose default
+-- resume expired gets their most recent remaining resume as the new default.
+create or replace function public.purge_expired_data(
+  p_log_days integer,
+  p_letter_days integer,
+  p_resume_days integer
+)
+returns jsonb as $$
+declare
+  v_logs integer := 0;
+  v_letters integer := 0;
+  v_resumes integer := 0;
+  v_summaries integer := 0;
+  v_rate_limit_hits integer := 0;
+begin
+  if coalesce(p_log_days, 0) > 0 then
+    delete from public.generation_logs
+    where created_at < now() - make_interval(days => p_log_days);
+    get diagnostics v_logs = row_count;
+  end if;
+
+  if coalesce(p_letter_days, 0) > 0 then
+    delete from public.letters
+    where created_at < now() - make_interval(days => p_letter_days);
+    get diagnostics v_letters = row_count;
+  end if;
+
+  if coalesce(p_resume_days, 0) > 0 then
+    delete from public.resumes
+    where coalesce(updated_at, created_at) < now() - make_interval(days => p_resume_days);
+    get diagnostics v_resumes = row_count;
+
+    update public.resumes r
+    set is_default = true
+    where r.id in (
+      select distinct on (user_id) id
+      from public.resumes
+      order by user_id, updated_at desc
+    )
+    and not exists (select 1 from public.resumes d where d.user_id = r.user_id and d.is_default);
+
+    update public.profiles
+    set resume_summary = null,
+        resume_hash = null,
+        resume_updated_at = null
+    where resume_summary is not null
+      and coalesce(resume_updated_at, updated_at, created_at) < now() - make_interval(days => p_resume_days);
+    get diagnostics v_summaries = row_count;
+  end if;
+
+  delete from public.rate_limit_hits where hit_at < now() - interval '1 day';
+  get diagnostics v_rate_limit_hits = row_count;
+
+  return jsonb_build_object(
+    'generation_logs', v_logs,
+    'letters', v_letters,
+    'resumes', v_resumes,
+    'resume_summaries', v_summaries,
+    'rate_limit_hits', v_rate_limit_hits
+  );
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.purge_expired_data(integer, integer, integer) from public, anon, authenticated;
+grant execute on function public.purge_expired_data(integer, integer, integer) to service_role;
+
+-- 16. Unified billing (see shared/billing.mjs). Subscription state from every provider is
+-- stored in the same columns; is_pro is written from computeEntitlement in shared/entitlement.mjs.
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='billing_provider') then
+    alter table public.profiles add column billing_provider text;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='cancel_at_period_end') then
+    alter table public.profiles add column cancel_at_period_end boolean not null default false;
+  end if;
+end $$;
+
+update public.profiles
+set billing_provider = case when plan_id like 'lemon%' then 'lemon' else 'stripe' end
+where billing_provider is null
+  and (plan_id like 'lemon%' or stripe_customer_id is not null or stripe_subscription_id is not null);
+
+create index if not exists profiles_stripe_subscription_id_idx on public.profiles(stripe_subscription_id);
+create index if not exists profiles_lemon_subscription_id_idx on public.profiles(lemon_subscription_id);
+
+-- 17. Billing webhook events (see handleBillingWebhook in shared/billing.mjs). Each delivery
+-- is recorded once per provider event id so redeliveries are no-ops, events older than the
+-- last one applied to the same subscription are marked stale, and failed or unmatched
+-- events keep their payload for replay from /api/admin/billing-events.
+create table if not exists public.billing_events (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null,
+  event_id text not null,
+  event_type text,
+  subscription_id text,
+  occurred_at timestamptz,
+  user_id uuid references auth.users(id) on delete cascade,
+  status text not null default 'received'
+    check (status in ('received', 'processing', 'applied', 'unmatched', 'ignored', 'stale', 'failed')),
+  error text,
+  attempts integer not null default 0,
+  payload jsonb not null default '{}'::jsonb,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz,
+  unique (provider, event_id)
+);
+
+create index if not exists billing_events_subscription_idx
+  on public.billing_events(provider, subscription_id, occurred_at desc)
+  where status = 'applied';
+create index if not exists billing_events_status_idx on public.billing_events(status, received_at desc);
+create index if not exists billing_events_user_id_idx on public.billing_events(user_id);
+
+alter table public.billing_events enable row level security;
+
+drop policy if exists "Service role only billing events" on public.billing_events;
+
+create policy "Service role only billing events"
+  on public.billing_events for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+-- Records a delivery and decides what to do with it:
+--   duplicate  already handled (or being handled by a concurrent delivery)
+--   stale      an event for the same subscription with a later timestamp was already applied
+--   process    the caller should apply it and then set the final status
+-- Failed events are claimed again, which is how redeliveries and replays retry them.
+-- Unmatched events (usually delivered before the profile existed) are only claimed again
+-- with p_retry_unmatched, by a replay or the scheduled reconciliation.
+drop function if exists public.claim_billing_event(text, text, text, text, timestamptz, jsonb);
+
+create or replace function public.claim_billing_event(
+  p_provider text,
+  p_event_id text,
+  p_event_type text,
+  p_subscription_id text,
+  p_occurred_at timestamptz,
+  p_payload jsonb,
+  p_retry_unmatched boolean default false
+)
+returns jsonb as $$
+declare
+  v_event public.billing_events;
+begin
+  insert into public.billing_events (provider, event_id, event_type, subscription_id, occurred_at, payload)
+  values (p_provider, p_event_id, p_event_type, p_subscription_id, p_occurred_at, coalesce(p_payload, '{}'::jsonb))
+  on conflict (provider, event_id) do nothing;
+
+  select * into v_event
+  from public.billing_events
+  where provider = p_provider and event_id = p_event_id
+  for update;
+
+  if v_event.status in ('applied', 'ignored', 'stale')
+    or (v_event.status = 'unmatched' and not coalesce(p_retry_unmatched, false))
+    or (v_event.status = 'processing' and v_event.updated_at > now() - interval '5 minutes') then
+    return jsonb_build_object('id', v_event.id, 'action', 'duplicate', 'status', v_event.status);
+  end if;
+
+  if p_subscription_id is not null and p_occurred_at is not null and exists (
+    select 1 from public.billing_events
+    where provider = p_provider
+      and subscription_id = p_subscription_id
+      and status = 'applied'
+      and occurred_at > p_occurred_at
+  ) then
+    update public.billing_events
+    set status = 'stale', updated_at = now(), processed_at = now()
+    where id = v_event.id;
+    return jsonb_build_object('id', v_event.id, 'action', 'stale', 'status', 'stale');
+  end if;
+
+  update public.billing_events
+  set status = 'processing', attempts = attempts + 1, error = null, updated_at = now()
+  where id = v_event.id;
+  return jsonb_build_object('id', v_event.id, 'action', 'process', 'status', 'processing');
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.claim_billing_event(text, text, text, text, timestamptz, jsonb, boolean) from public, anon, authenticated;
+grant execute on function public.claim_billing_event(text, text, text, text, timestamptz, jsonb, boolean) to service_role;
+
+-- 18. Letter credits (see shared/credits.mjs). A paid credit pack inserts one grant per
+-- provider payment; generations past the free limit are funded from the balance before a
+-- preview is locked. Credit-funded reservations are marked in the usage ledger, so a
+-- refunded or expired reservation returns its credit. A refunded or disputed pack is marked
+-- revoked_at and no longer counts toward the balance.
+create table if not exists public.credit_grants (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  provider text not null,
+  reference text not null,
+  plan_id text,
+  credits integer not null check (credits > 0),
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  unique (provider, reference)
+);
+
+create index if not exists credit_grants_user_id_idx on public.credit_grants(user_id);
+
+alter table public.credit_grants enable row level security;
+
+drop policy if exists "Users can view own credit grants" on public.credit_grants;
+drop policy if exists "Service role only credit grants" on public.credit_grants;
+
+create policy "Users can view own credit grants"
+  on public.credit_grants for select
+  using (auth.uid() = user_id);
+
+create policy "Service role only credit grants"
+  on public.credit_grants for all
+  using (auth.role() = 'service_role')
+  with check (auth.role() = 'service_role');
+
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='usage_events' and column_name='funded_by') then
+    alter table public.usage_events add column funded_by text not null default 'allowance'
+      check (funded_by in ('allowance', 'credits'));
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='credit_grants' and column_name='revoked_at') then
+    alter table public.credit_grants add column revoked_at timestamptz;
+  end if;
+end $$;
+
+create or replace function public.credit_balance(p_user_id uuid)
+returns integer as $$
+  select greatest(
+    coalesce((select sum(credits) from public.credit_grants where user_id = p_user_id and revoked_at is null), 0)
+    - coalesce((
+        select sum(cost) from public.usage_events
+        where user_id = p_user_id and funded_by = 'credits' and status in ('committed', 'reserved')
+      ), 0),
+    0
+  )::integer;
+$$ language sql stable security definer
+set search_path = public;
+
+revoke execute on function public.credit_balance(uuid) from public, anon, authenticated;
+grant execute on function public.credit_balance(uuid) to service_role;
+
+-- Reserves p_cost generations. The profile row lock serializes concurrent requests for the
+-- same user, and open reservations count as used so parallel calls cannot both get the last
+-- free generation. Reservations left open for 10 minutes (crashed invocations) expire.
+-- The caller passes its entitlement (computeEntitlement), so one function decides what a
+-- subscription status grants. The older 4-argument overload is dropped so it can't be
+-- called with a stale entitlement check.
+drop function if exists public.reserve_generation(uuid, text, integer, integer);
+
+create or replace function public.reserve_generation(
+  p_user_id uuid,
+  p_kind text,
+  p_cost integer,
+  p_free_limit integer,
+  p_subscribed boolean
+)
+returns jsonb as $$
+declare
+  v_used integer;
+  v_subscribed boolean := coalesce(p_subscribed, false);
+  v_locked boolean;
+  v_credits integer := 0;
+  v_funded_by text := 'allowance';
+  v_reservation_id uuid;
+begin
+  perform 1 from public.profiles where id = p_user_id for update;
+  if not found then
+    raise exception 'profile % not found', p_user_id;
+  end if;
+
+  update public.usage_events
+  set status = 'expired', settled_at = now(), reason = 'reservation timed out'
+  where user_id = p_user_id
+    and status = 'reserved'
+    and created_at < now() - interval '10 minutes';
+
+  select coalesce(sum(cost), 0) into v_used
+  from public.usage_events
+  where user_id = p_user_id and status in ('committed', 'reserved');
+
+  v_locked := not v_subscribed and v_used >= p_free_limit;
+
+  if not v_subscribed then
+    v_credits := public.credit_balance(p_user_id);
+  end if;
+  if v_locked and v_credits >= greatest(p_cost, 1) then
+    v_locked := false;
+    v_funded_by := 'credits';
+    v_credits := v_credits - greatest(p_cost, 1);
+  end if;
+
+  insert into public.usage_events (user_id, kind, cost, status, locked, funded_by)
+  values (p_user_id, coalesce(p_kind, 'generation'), greatest(p_cost, 0), 'reserved', v_locked, v_funded_by)
+  returning id into v_reservation_id;
+
+  return jsonb_build_object(
+    'reservation_id', v_reservation_id,
+    'generations_used', v_used,
+    'is_subscribed', v_subscribed,
+    'lock_preview_only', v_locked,
+    'funded_by', v_funded_by,
+    'credits_remaining', v_credits
+  );
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+revoke execute on function public.reserve_generation(uuid, text, integer, integer, boolean) from public, anon, authenticated;
+grant execute on function public.reserve_generation(uuid, text, integer, integer, boolean) to service_role;
+
+-- 19. Dunning and revocations (see computeEntitlement in shared/entitlement.mjs). A past_due
+-- subscription keeps Pro for PAST_DUE_GRACE_DAYS after past_due_since; a full refund or a
+-- dispute sets access_revoked_reason until the customer pays again or wins the dispute.
+-- Refunded or disputed credit packs are marked revoked_at (section 18).
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='past_due_since') then
+    alter table public.profiles add column past_due_since timestamptz;
+  end if;
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='access_revoked_reason') then
+    alter table public.profiles add column access_revoked_reason text
+      check (access_revoked_reason in ('refund', 'dispute'));
+  end if;
+end $$;
+
+-- 20. Billing reconciliation (see reconcileBillingProfiles in shared/billing.mjs). The
+-- scheduled check visits subscribed profiles least recently checked first.
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema='public' and table_name='profiles' and column_name='billing_checked_at') then
+    alter table public.profiles add column billing_checked_at timestamptz not null default 'epoch';
+  end if;
+end $$;
+
+create index if not exists profiles_billing_checked_at_idx on public.profiles(billing_checked_at);
+
+-- 21. Profile emails are stored lower-cased (see normalizeEmail in shared/supabase.mjs) so
+-- billing webhooks without a user id match them exactly.
+update public.profiles set email = lower(trim(email)) where email is not null and email <> lower(trim(email));
+
+create index if not exists profiles_email_idx on public.profiles(email);
+
+-- 22. Profile writes with the user's own key. computeEntitlement trusts the billing columns
+-- on profiles (subscription_status, current_period_end, past_due_since,
+-- access_revoked_reason, the provider ids), so signed-in users may only insert their row
+-- and edit their contact details; everything else is written by the service role.
+revoke insert, update on public.profiles from anon, authenticated;
+grant insert (id, email) on public.profiles to authenticated;
+grant update (full_name, contact_email, phone, location, linkedin_url, portfolio_url, sign_off, updated_at)
+  on public.profiles to authenticated;
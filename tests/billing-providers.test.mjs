@@ -0,0 +1,168 @@
+import "./helpers/env.mjs";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import { getBillingProvider, handleBillingWebhook } from "../netlify/functions/shared/billing.mjs";
+import { PROVIDER_COLUMNS, USER_EMAIL, USER_ID, loadFixture, newProfile, signedRequest, stubStripeApi } from "./helpers/billing.mjs";
+import { createFakeSupabase } from "./helpers/fake-supabase.mjs";
+
+// The same scenarios run through both adapters and the shared webhook flow. Apart from
+// the provider's own ids and plan, the normalized events and the profile writes must be
+// identical.
+
+const PROVIDERS = ["stripe", "lemon"];
+
+const FIXTURES = {
+  stripe: {
+    checkout: "stripe/checkout-completed.json",
+    updated: "stripe/subscription-updated.json",
+    cancelled: "stripe/subscription-cancelled.json",
+  },
+  lemon: {
+    checkout: "lemon/subscription-created.json",
+    updated: "lemon/subscription-updated.json",
+    cancelled: "lemon/subscription-cancelled.json",
+  },
+};
+
+function withoutProviderColumns(values, omit = []) {
+  const rest = { ...values };
+  for (const column of [...PROVIDER_COLUMNS, "updated_at", ...omit]) delete rest[column];
+  return rest;
+}
+
+function neutralEvent(normalized) {
+  const { type, match, email, state, ...rest } = normalized;
+  return { ...rest, state: withoutProviderColumns(state) };
+}
+
+async function deliver(provider, scenarios, { secret } = {}) {
+  const supabase = createFakeSupabase({ profiles: [newProfile()] });
+  const responses = [];
+  for (const scenario of scenarios) {
+    const request = signedRequest(provider, loadFixture(FIXTURES[provider][scenario]), { secret });
+    const response = await handleBillingWebhook(getBillingProvider(provider), request, { supabase });
+    responses.push({ status: response.status, body: await response.json() });
+  }
+  return {
+    responses,
+    profile: supabase.profile(USER_ID),
+    // Stripe subscription events carry no email, so it is compared on the profile instead.
+    writes: supabase.writesTo("profiles").map((values) => withoutProviderColumns(values, ["email"])),
+    events: supabase.table("billing_events"),
+  };
+}
+
+async function deliverToBoth(scenarios, options) {
+  const results = {};
+  for (const provider of PROVIDERS) results[provider] = await deliver(provider, scenarios, options);
+  return results;
+}
+
+const CHECKOUT_WRITE = {
+  id: USER_ID,
+  subscription_status: "active",
+  current_period_end: "2030-02-01T00:00:00.000Z",
+  cancel_at_period_end: false,
+  access_revoked_reason: null,
+  past_due_since: null,
+  is_pro: true,
+};
+
+describe("billing providers", () => {
+  beforeEach(() => {
+    stubStripeApi({ subscription: loadFixture("stripe/api/subscription-active.json") });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test("normalize the same scenario to the same event", async () => {
+    for (const scenario of ["checkout", "updated", "cancelled"]) {
+      const [stripe, lemon] = await Promise.all(
+        PROVIDERS.map((provider) => getBillingProvider(provider).normalizeEvent(loadFixture(FIXTURES[provider][scenario])))
+      );
+      assert.deepEqual(neutralEvent(stripe), neutralEvent(lemon), scenario);
+      assert.equal(stripe.userId, USER_ID);
+    }
+  });
+
+  test("checkout completed", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout"]);
+
+    assert.deepEqual(stripe.responses, [{ status: 200, body: { received: true, matched: true } }]);
+    assert.deepEqual(lemon.responses, stripe.responses);
+    assert.deepEqual(stripe.writes, [CHECKOUT_WRITE]);
+    assert.deepEqual(lemon.writes, stripe.writes);
+
+    assert.equal(stripe.profile.email, USER_EMAIL);
+    assert.equal(lemon.profile.email, USER_EMAIL);
+    assert.equal(stripe.profile.billing_provider, "stripe");
+    assert.equal(stripe.profile.stripe_customer_id, "cus_Fixture");
+    assert.equal(stripe.profile.stripe_subscription_id, "sub_1Fixture");
+    assert.equal(stripe.profile.plan_id, "price_Monthly");
+    assert.equal(lemon.profile.billing_provider, "lemon");
+    assert.equal(lemon.profile.lemon_subscription_id, "9001");
+    assert.equal(lemon.profile.plan_id, "lemon:77");
+  });
+
+  test("subscription updated", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout", "updated"]);
+
+    assert.deepEqual(stripe.writes[1], {
+      id: USER_ID,
+      subscription_status: "active",
+      current_period_end: "2030-03-01T00:00:00.000Z",
+      cancel_at_period_end: false,
+      past_due_since: null,
+      is_pro: true,
+    });
+    assert.deepEqual(lemon.writes, stripe.writes);
+  });
+
+  test("subscription cancelled keeps Pro until the period ends", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout", "cancelled"]);
+
+    assert.deepEqual(stripe.writes[1], {
+      id: USER_ID,
+      subscription_status: "active",
+      current_period_end: "2030-03-01T00:00:00.000Z",
+      cancel_at_period_end: true,
+      past_due_since: null,
+      is_pro: true,
+    });
+    assert.deepEqual(lemon.writes, stripe.writes);
+  });
+
+  test("duplicate event id is acknowledged without a second write", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout", "checkout"]);
+
+    assert.deepEqual(stripe.responses[1], { status: 200, body: { received: true, duplicate: true } });
+    assert.deepEqual(lemon.responses, stripe.responses);
+    assert.deepEqual(stripe.writes, [CHECKOUT_WRITE]);
+    assert.deepEqual(lemon.writes, stripe.writes);
+  });
+
+  test("out-of-order event is skipped as stale", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout", "cancelled", "updated"]);
+
+    assert.deepEqual(stripe.responses[2], { status: 200, body: { received: true, stale: true } });
+    assert.deepEqual(lemon.responses, stripe.responses);
+    assert.equal(stripe.writes.length, 2);
+    assert.deepEqual(lemon.writes, stripe.writes);
+    for (const { profile } of [stripe, lemon]) {
+      assert.equal(profile.cancel_at_period_end, true);
+    }
+  });
+
+  test("bad signature is rejected before anything is recorded", async () => {
+    const { stripe, lemon } = await deliverToBoth(["checkout"], { secret: "not-the-webhook-secret" });
+
+    assert.deepEqual(stripe.responses, [{ status: 400, body: { error: "Invalid signature" } }]);
+    assert.deepEqual(lemon.responses, stripe.responses);
+    for (const { writes, events } of [stripe, lemon]) {
+      assert.deepEqual(writes, []);
+      assert.deepEqual(events, []);
+    }
+  });
+});
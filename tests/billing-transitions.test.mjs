@@ -0,0 +1,161 @@
+import "./helpers/env.mjs";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import { applyBillingEvent, computeEntitlement, getBillingProvider } from "../netlify/functions/shared/billing.mjs";
+import { USER_ID, loadFixture, newProfile, signedRequest, stubStripeApi } from "./helpers/billing.mjs";
+import { createFakeSupabase } from "./helpers/fake-supabase.mjs";
+
+// Refunds, disputes, dunning and pauses, each from a signed sample payload through
+// verification, normalization, applyBillingEvent and computeEntitlement. Lemon Squeezy is
+// the merchant of record and sends no dispute events, so disputes are Stripe only.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIXTURES = {
+  stripe: {
+    checkout: "stripe/checkout-completed.json",
+    refund: "stripe/charge-refunded.json",
+    paid: "stripe/invoice-payment-succeeded.json",
+    pastDue: "stripe/invoice-payment-failed.json",
+    paused: "stripe/subscription-paused.json",
+    resumed: "stripe/subscription-resumed.json",
+  },
+  lemon: {
+    checkout: "lemon/subscription-created.json",
+    refund: "lemon/subscription-payment-refunded.json",
+    paid: "lemon/subscription-payment-success.json",
+    pastDue: "lemon/subscription-past-due.json",
+    paused: "lemon/subscription-paused.json",
+    resumed: "lemon/subscription-resumed.json",
+  },
+};
+
+const stripeApi = {};
+
+async function deliver(supabase, provider, fixture) {
+  const billing = getBillingProvider(provider);
+  const verified = await billing.verifyWebhook(signedRequest(provider, loadFixture(fixture)));
+  assert.equal(verified.ok, true, `${fixture} failed verification`);
+
+  const normalized = await billing.normalizeEvent(verified.event);
+  if (!normalized.ignored) {
+    const { matched } = await applyBillingEvent(supabase, normalized);
+    assert.equal(matched, true, `${fixture} matched no profile`);
+  }
+  const profile = supabase.profile(USER_ID);
+  return { normalized, profile, entitlement: computeEntitlement(profile) };
+}
+
+async function subscribed(provider) {
+  const supabase = createFakeSupabase({ profiles: [newProfile()] });
+  const { entitlement } = await deliver(supabase, provider, FIXTURES[provider].checkout);
+  assert.equal(entitlement.isPro, true);
+  return supabase;
+}
+
+beforeEach(() => {
+  stripeApi.subscription = loadFixture("stripe/api/subscription-active.json");
+  stripeApi.charge = loadFixture("stripe/api/charge.json");
+  stubStripeApi(stripeApi);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+for (const provider of ["stripe", "lemon"]) {
+  const fixtures = FIXTURES[provider];
+
+  describe(`${provider} transitions`, () => {
+    test("full refund revokes Pro until the customer pays again", async () => {
+      const supabase = await subscribed(provider);
+
+      const refunded = await deliver(supabase, provider, fixtures.refund);
+      assert.equal(refunded.entitlement.isPro, false);
+      assert.equal(refunded.entitlement.revokedReason, "refund");
+      assert.equal(refunded.entitlement.status, "active");
+      assert.equal(refunded.profile.is_pro, false);
+
+      const paid = await deliver(supabase, provider, fixtures.paid);
+      assert.equal(paid.entitlement.isPro, true);
+      assert.equal(paid.entitlement.revokedReason, null);
+    });
+
+    test("past_due keeps Pro inside the grace period and ends it after", async () => {
+      const supabase = await subscribed(provider);
+      stripeApi.subscription = loadFixture("stripe/api/subscription-past-due.json");
+
+      const before = Date.now();
+      const { profile, entitlement } = await deliver(supabase, provider, fixtures.pastDue);
+      assert.equal(entitlement.status, "past_due");
+      assert.equal(entitlement.isPro, true);
+      assert.equal(profile.is_pro, true);
+      assert.ok(Date.parse(profile.past_due_since) >= before);
+      assert.equal(entitlement.graceEndsAt, new Date(Date.parse(profile.past_due_since) + 3 * DAY_MS).toISOString());
+
+      const afterGrace = computeEntitlement(profile, Date.parse(entitlement.graceEndsAt) + 1);
+      assert.equal(afterGrace.isPro, false);
+      assert.equal(afterGrace.graceEndsAt, null);
+    });
+
+    test("paused removes Pro and resumed restores it", async () => {
+      const supabase = await subscribed(provider);
+
+      const paused = await deliver(supabase, provider, fixtures.paused);
+      assert.equal(paused.entitlement.status, "paused");
+      assert.equal(paused.entitlement.isPro, false);
+
+      const resumed = await deliver(supabase, provider, fixtures.resumed);
+      assert.equal(resumed.entitlement.status, "active");
+      assert.equal(resumed.entitlement.isPro, true);
+    });
+  });
+}
+
+describe("stripe disputes", () => {
+  test("a new dispute revokes Pro", async () => {
+    const supabase = await subscribed("stripe");
+
+    const { entitlement } = await deliver(supabase, "stripe", "stripe/charge-dispute-created.json");
+    assert.equal(entitlement.isPro, false);
+    assert.equal(entitlement.revokedReason, "dispute");
+  });
+
+  test("a won dispute restores Pro", async () => {
+    const supabase = await subscribed("stripe");
+    await deliver(supabase, "stripe", "stripe/charge-dispute-created.json");
+
+    const { entitlement } = await deliver(supabase, "stripe", "stripe/charge-dispute-won.json");
+    assert.equal(entitlement.isPro, true);
+    assert.equal(entitlement.revokedReason, null);
+  });
+
+  test("a lost dispute keeps Pro revoked", async () => {
+    const supabase = await subscribed("stripe");
+    await deliver(supabase, "stripe", "stripe/charge-dispute-created.json");
+
+    const { normalized, entitlement } = await deliver(supabase, "stripe", "stripe/charge-dispute-lost.json");
+    assert.deepEqual(normalized, { ignored: "dispute_lost" });
+    assert.equal(entitlement.isPro, false);
+    assert.equal(entitlement.revokedReason, "dispute");
+  });
+
+  test("a paid invoice does not clear a dispute", async () => {
+    const supabase = await subscribed("stripe");
+    await deliver(supabase, "stripe", "stripe/charge-dispute-created.json");
+
+    const { entitlement } = await deliver(supabase, "stripe", FIXTURES.stripe.paid);
+    assert.equal(entitlement.isPro, false);
+    assert.equal(entitlement.revokedReason, "dispute");
+  });
+});
+
+describe("stripe customer.updated", () => {
+  test("keeps the profile email in sync", async () => {
+    const supabase = await subscribed("stripe");
+
+    const { profile, entitlement } = await deliver(supabase, "stripe", "stripe/customer-updated.json");
+    assert.equal(profile.email, "jane.smith@example.com");
+    assert.equal(entitlement.isPro, true);
+  });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applySignature } from "../netlify/functions/shared/contact.mjs";
+
+const CONTACT = { full_name: "Jane Doe", contact_email: "jane@example.com" };
+
+function letterWithClosing(closing) {
+  return ["Dear Hiring Manager,", "", "I would love to join your team.", "", closing, "Alex Placeholder"].join("\n");
+}
+
+describe("applySignature", () => {
+  for (const closing of [
+    "Thank you for your consideration,",
+    "Thank you for your time and consideration,",
+    "With best regards,",
+    "With warm regards,",
+    "Best wishes,",
+    "Warmly,",
+  ]) {
+    test(`replaces the "${closing}" closing and the name under it`, () => {
+      const signed = applySignature(letterWithClosing(closing), CONTACT);
+
+      assert.equal(
+        signed,
+        ["Dear Hiring Manager,", "", "I would love to join your team.", "", closing, "Jane Doe", "jane@example.com"].join("\n")
+      );
+    });
+  }
+
+  test("uses the stored sign-off instead of the letter's", () => {
+    const signed = applySignature(letterWithClosing("Thank you for your consideration,"), { ...CONTACT, sign_off: "Kind regards" });
+
+    assert.ok(signed.endsWith("\n\nKind regards,\nJane Doe\njane@example.com"));
+    assert.ok(!signed.includes("Thank you for your consideration"));
+  });
+
+  test("keeps a closing sentence in the body", () => {
+    const text = ["Dear Hiring Manager,", "", "Thank you for your time and consideration.", "Sincerely,", "Alex"].join("\n");
+
+    assert.equal(
+      applySignature(text, CONTACT),
+      ["Dear Hiring Manager,", "", "Thank you for your time and consideration.", "", "Sincerely,", "Jane Doe", "jane@example.com"].join("\n")
+    );
+  });
+});
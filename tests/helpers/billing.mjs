@@ -0,0 +1,84 @@
+import { createHmac } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { mock } from "node:test";
+import Stripe from "stripe";
+import { TEST_ENV } from "./env.mjs";
+
+export const USER_ID = "5b1e7c3a-2f4d-4c8e-9a61-0d2f6b8e4a10";
+export const USER_EMAIL = "jane.doe@example.com";
+
+// Provider-specific profile columns; everything else must come out the same for both.
+export const PROVIDER_COLUMNS = [
+  "billing_provider",
+  "plan_id",
+  "stripe_customer_id",
+  "stripe_subscription_id",
+  "lemon_subscription_id",
+];
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+export function newProfile() {
+  return {
+    id: USER_ID,
+    email: USER_EMAIL,
+    is_pro: false,
+    subscription_status: "none",
+    current_period_end: null,
+    cancel_at_period_end: false,
+    billing_provider: null,
+    plan_id: null,
+    past_due_since: null,
+    access_revoked_reason: null,
+  };
+}
+
+// Webhook requests signed the way each provider signs them. Pass another `secret` to get
+// a delivery that fails verification.
+function stripeRequest(payload, { secret = TEST_ENV.STRIPE_WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  return new Request("https://covercraft.test/api/stripe/webhook", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": Stripe.webhooks.generateTestHeaderString({ payload: body, secret }),
+    },
+    body,
+  });
+}
+
+function lemonRequest(payload, { secret = TEST_ENV.LEMON_WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  return new Request("https://covercraft.test/api/lemon/webhook", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-event-name": payload.meta.event_name,
+      "x-signature": createHmac("sha256", secret).update(body).digest("hex"),
+    },
+    body,
+  });
+}
+
+export function signedRequest(provider, payload, options) {
+  return provider === "stripe" ? stripeRequest(payload, options) : lemonRequest(payload, options);
+}
+
+// Answers the Stripe API calls the adapter makes from `api` ({ subscription, charge })
+// and fails any other request, so no test reaches the network. Undo with mock.restoreAll().
+export function stubStripeApi(api) {
+  const stripe = new Stripe(TEST_ENV.STRIPE_SECRET_KEY);
+  const missing = (what) => Object.assign(new Error(`No such ${what}`), { code: "resource_missing", statusCode: 404 });
+  const lookup = (what, id) => {
+    if (api[what]?.id !== id) throw missing(what);
+    return structuredClone(api[what]);
+  };
+
+  mock.method(Stripe.StripeResource.prototype, "_makeRequest", async () => {
+    throw new Error("Unexpected Stripe API request");
+  });
+  mock.method(Object.getPrototypeOf(stripe.subscriptions), "retrieve", async (id) => lookup("subscription", id));
+  mock.method(Object.getPrototypeOf(stripe.charges), "retrieve", async (id) => lookup("charge", id));
+}
@@ -0,0 +1,15 @@
+// Netlify.env for the functions under test. Import this before any function module.
+export const TEST_ENV = {
+  STRIPE_SECRET_KEY: "sk_test_fixture",
+  STRIPE_WEBHOOK_SECRET: "whsec_fixture",
+  STRIPE_PRICE_ID: "price_Monthly",
+  LEMON_WEBHOOK_SECRET: "lemon_fixture_secret",
+  LEMON_CHECKOUT_URL: "https://covercraft.lemonsqueezy.com/checkout/buy/fixture",
+  PAST_DUE_GRACE_DAYS: "3",
+};
+
+globalThis.Netlify = {
+  env: {
+    get: (name) => TEST_ENV[name],
+  },
+};
@@ -0,0 +1,189 @@
+import { randomUUID } from "node:crypto";
+
+// In-memory stand-in for the Supabase admin client, covering the query builder calls and
+// RPCs the billing code makes. `claim_billing_event` and `credit_balance` follow the SQL
+// in supabase-schema.sql (sections 17 and 18). Every insert or update is recorded in
+// `writes`, so tests can compare what two providers wrote.
+
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const clone = (value) => structuredClone(value);
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.values = null;
+    this.options = {};
+    this.filters = [];
+    this.returning = false;
+    this.mode = "many";
+    this.max = Infinity;
+  }
+
+  select() {
+    this.returning = true;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = "upsert";
+    this.values = values;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => row[column] === value);
+    return this;
+  }
+
+  order() {
+    return this;
+  }
+
+  limit(max) {
+    this.max = max;
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybeSingle";
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run())
+      .then(resolve, reject);
+  }
+
+  run() {
+    const rows = this.db.table(this.table);
+    let affected;
+    if (this.action === "upsert") {
+      affected = this.runUpsert(rows);
+    } else if (this.action === "update") {
+      affected = rows.filter((row) => this.filters.every((match) => match(row)));
+      for (const row of affected) Object.assign(row, clone(this.values));
+      this.db.writes.push({ table: this.table, action: "update", values: clone(this.values) });
+    } else {
+      affected = rows.filter((row) => this.filters.every((match) => match(row))).slice(0, this.max);
+    }
+
+    if (this.action !== "select" && !this.returning) return { data: null, error: null };
+    const data = affected.map(clone);
+    if (this.mode === "maybeSingle") return { data: data[0] || null, error: null };
+    if (this.mode === "single") {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { message: "JSON object requested, multiple (or no) rows returned" } };
+    }
+    return { data, error: null };
+  }
+
+  runUpsert(rows) {
+    const keys = String(this.options.onConflict || "id").split(",");
+    const existing = rows.find((row) => keys.every((key) => row[key] === this.values[key]));
+    this.db.writes.push({ table: this.table, action: "upsert", values: clone(this.values) });
+    if (existing) {
+      if (this.options.ignoreDuplicates) return [];
+      Object.assign(existing, clone(this.values));
+      return [existing];
+    }
+    const row = { id: randomUUID(), ...clone(this.values) };
+    rows.push(row);
+    return [row];
+  }
+}
+
+export function createFakeSupabase({ profiles = [] } = {}) {
+  const tables = { profiles: profiles.map(clone), billing_events: [], credit_grants: [] };
+
+  const db = {
+    writes: [],
+    table(name) {
+      if (!tables[name]) tables[name] = [];
+      return tables[name];
+    },
+    from(name) {
+      return new FakeQuery(db, name);
+    },
+    async rpc(name, args) {
+      if (name === "claim_billing_event") return { data: claimBillingEvent(args), error: null };
+      if (name === "credit_balance") return { data: creditBalance(args.p_user_id), error: null };
+      return { data: null, error: { message: `Unknown function ${name}` } };
+    },
+    profile(id) {
+      const row = tables.profiles.find((profile) => profile.id === id);
+      return row ? clone(row) : null;
+    },
+    writesTo(name) {
+      return db.writes.filter((write) => write.table === name).map((write) => write.values);
+    },
+  };
+
+  const claimBillingEvent = ({ p_provider, p_event_id, p_event_type, p_subscription_id, p_occurred_at, p_payload, p_retry_unmatched }) => {
+    const events = tables.billing_events;
+    let event = events.find((row) => row.provider === p_provider && row.event_id === p_event_id);
+    if (!event) {
+      event = {
+        id: randomUUID(),
+        provider: p_provider,
+        event_id: p_event_id,
+        event_type: p_event_type,
+        subscription_id: p_subscription_id,
+        occurred_at: p_occurred_at,
+        status: "received",
+        attempts: 0,
+        payload: clone(p_payload || {}),
+        updated_at: new Date().toISOString(),
+      };
+      events.push(event);
+    }
+
+    const processingRecently =
+      event.status === "processing" && Date.now() - Date.parse(event.updated_at) < PROCESSING_TIMEOUT_MS;
+    if (
+      ["applied", "ignored", "stale"].includes(event.status) ||
+      (event.status === "unmatched" && !p_retry_unmatched) ||
+      processingRecently
+    ) {
+      return { id: event.id, action: "duplicate", status: event.status };
+    }
+
+    const newer = events.some(
+      (row) =>
+        row.provider === p_provider &&
+        row.subscription_id === p_subscription_id &&
+        row.status === "applied" &&
+        Date.parse(row.occurred_at) > Date.parse(p_occurred_at)
+    );
+    if (p_subscription_id && p_occurred_at && newer) {
+      Object.assign(event, { status: "stale", updated_at: new Date().toISOString() });
+      return { id: event.id, action: "stale", status: "stale" };
+    }
+
+    Object.assign(event, { status: "processing", attempts: event.attempts + 1, error: null, updated_at: new Date().toISOString() });
+    return { id: event.id, action: "process", status: "processing" };
+  };
+
+  const creditBalance = (userId) =>
+    tables.credit_grants
+      .filter((grant) => grant.user_id === userId && !grant.revoked_at)
+      .reduce((total, grant) => total + grant.credits, 0);
+
+  return db;
+}